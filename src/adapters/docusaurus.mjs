@@ -0,0 +1,33 @@
+// src/adapters/docusaurus.mjs
+import { remarkReplaceImageZoom } from '../transform/mdastPlugins.mjs';
+import { remarkCodeBlockComponents } from '../transform/codeBlocks.mjs';
+import { loadSidebars } from '../sidebars.mjs';
+import { readCategoryMetadata } from '../utils/ordering.mjs';
+
+/**
+ * Docusaurus: `:::note` admonitions, `<Tabs>`/`<TabItem>` and fence titles are already the
+ * shared forms the pipeline converts, so no text pre-pass is needed. Adds `<ImageZoom>`,
+ * `<CodeBlock>`, `useBaseUrl()` image references, `sidebars.js` and `_category_` files;
+ * `_`-prefixed files are partials, inlined where they are imported rather than migrated.
+ *
+ * @type {import('./index.mjs').SourceAdapter}
+ */
+export const docusaurus = {
+  name: 'docusaurus',
+  label: 'Docusaurus',
+  // `_`-prefixed files and folders are partials, never pages
+  ignore: (relPath) => /(^|\/)_/.test(relPath),
+  remarkPlugins: ({ images, codeBlocks }) => [
+    [remarkReplaceImageZoom, { imageUrls: images }],
+    [remarkCodeBlockComponents, { unsupported: codeBlocks }],
+  ],
+  imagePatterns: [
+    {
+      find: /useBaseUrl\(\s*(['"])(?<url>.*?)\1\s*\)/g,
+      replace: /src=\{\s*useBaseUrl\(\s*(['"])(?<url>.*?)\1\s*\)\s*\}/g,
+      hosted: (url) => `src="${url}"`,
+    },
+  ],
+  loadNavigation: loadSidebars,
+  readCategories: readCategoryMetadata,
+};
@@ -0,0 +1,169 @@
+// src/adapters/gitbook.mjs
+import fs from 'node:fs/promises';
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import { toString } from 'mdast-util-to-string';
+
+import { isFenceLine, jsxAttribute, mapOutsideCodeSpans, parseTagAttributes } from './text.mjs';
+
+/** GitBook hint style → the shared (Docusaurus) admonition type. */
+const HINT_TYPES = { info: 'info', success: 'success', warning: 'warning', danger: 'danger' };
+
+const TAG = /\{%-?\s*([\w-]+)([^%]*?)-?%\}/g;
+
+/**
+ * GitBook: `{% hint %}`, `{% tabs %}`/`{% tab %}`, `{% code title %}`, `{% embed %}` and
+ * `{% content-ref %}` template tags are rewritten to directives, `<Tabs>`/`<TabItem>`, fence
+ * titles and `<Embed>`. Other tags are removed (their content is kept) and reported.
+ * Navigation comes from `SUMMARY.md`, which is not migrated as a page.
+ *
+ * @type {import('./index.mjs').SourceAdapter}
+ */
+export const gitbook = {
+  name: 'gitbook',
+  label: 'GitBook',
+  ignore: (relPath) => /^summary\.md$/i.test(relPath),
+  preprocess(text, { unsupported }) {
+    const out = [];
+    let fence = null;
+    let codeTitle = null; // `{% code %}` options waiting for the next fence
+
+    String(text)
+      .split('\n')
+      .forEach((line, index) => {
+        if (isFenceLine(line)) {
+          const marker = line.trim().match(/^(`{3,}|~{3,})/)[1];
+          if (!fence) {
+            fence = marker;
+            if (codeTitle) {
+              line = `${line.trimEnd()} ${codeTitle}`;
+              codeTitle = null;
+            }
+          } else if (marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+          out.push(line);
+          return;
+        }
+        if (fence) {
+          out.push(line);
+          return;
+        }
+
+        const converted = mapOutsideCodeSpans(line, (part) =>
+          part.replace(TAG, (_whole, name, rest) => {
+            const attributes = parseTagAttributes(rest);
+            switch (name) {
+              case 'hint':
+                // GitBook hints have no title
+                return `\n:::${HINT_TYPES[attributes.style] || 'note'}{title=""}\n`;
+              case 'endhint':
+                return '\n:::\n';
+              case 'tabs':
+                return '\n<Tabs>\n';
+              case 'endtabs':
+                return '\n</Tabs>\n';
+              case 'tab':
+                return `\n<TabItem label="${jsxAttribute(attributes.title || '')}">\n\n`;
+              case 'endtab':
+                return '\n\n</TabItem>\n';
+              case 'code': {
+                const options = [];
+                if (attributes.title) options.push(`title="${attributes.title}"`);
+                if (attributes.lineNumbers === 'true') options.push('showLineNumbers');
+                codeTitle = options.join(' ') || null;
+                return '';
+              }
+              case 'embed': {
+                const url = attributes.url || rest.trim().replace(/^["']|["']$/g, '');
+                return url ? `\n<Embed url="${jsxAttribute(url)}" />\n` : '';
+              }
+              case 'endcode':
+              case 'endembed':
+              case 'content-ref':
+              case 'endcontent-ref':
+                return '';
+              default:
+                if (!name.startsWith('end')) {
+                  unsupported.push({
+                    line: index + 1,
+                    reason: `GitBook {% ${name} %} is not supported; tag removed`,
+                  });
+                }
+                return '';
+            }
+          }),
+        );
+        out.push(converted);
+      });
+
+    // Tags left extra blank lines behind, which Markdown ignores
+    return out.join('\n');
+  },
+  loadNavigation: loadGitbookSummary,
+};
+
+/**
+ * Read a GitBook `SUMMARY.md` as a Docusaurus-style sidebar: `##` headings become categories,
+ * list items become docs (an item with nested items becomes a category with that page as
+ * its index) and external links become links.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{config: Object, warnings: string[]}>}
+ */
+export async function loadGitbookSummary(filePath) {
+  const tree = unified()
+    .use(remarkParse)
+    .parse(await fs.readFile(filePath, 'utf8'));
+  const warnings = [];
+
+  const linkOf = (listItem) =>
+    listItem.children
+      .find((child) => child.type === 'paragraph')
+      ?.children.find((child) => child.type === 'link') || null;
+
+  const toItems = (list) =>
+    list.children.flatMap((listItem) => {
+      const link = linkOf(listItem);
+      const nested = listItem.children.find((child) => child.type === 'list');
+      const label = link ? toString(link) : toString(listItem.children[0] || '');
+      if (!link && !nested) {
+        warnings.push(`Entry without a link: "${label}"`);
+        return [];
+      }
+
+      const href = link ? decodeURI(link.url) : '';
+      const page = !href
+        ? null
+        : /^[a-z][\w+.-]*:/i.test(href)
+          ? { type: 'link', label, href }
+          : {
+              type: 'doc',
+              id: href
+                .replace(/^\.?\//, '')
+                .replace(/#.*$/, '')
+                .replace(/\.(md|mdx)$/i, ''),
+            };
+
+      if (!nested) return [page];
+      return [
+        {
+          type: 'category',
+          label,
+          items: page?.type === 'link' ? [page, ...toItems(nested)] : toItems(nested),
+          ...(page?.type === 'doc' && { link: page }),
+        },
+      ];
+    });
+
+  const items = [];
+  let group = null;
+  for (const node of tree.children) {
+    if (node.type === 'heading' && node.depth > 1) {
+      group = { type: 'category', label: toString(node), items: [] };
+      items.push(group);
+    } else if (node.type === 'list') {
+      (group ? group.items : items).push(...toItems(node));
+    }
+  }
+
+  return { config: { summary: items }, warnings };
+}
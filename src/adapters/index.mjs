@@ -0,0 +1,68 @@
+// src/adapters/index.mjs
+import { docusaurus } from './docusaurus.mjs';
+import { gitbook } from './gitbook.mjs';
+import { mintlify } from './mintlify.mjs';
+import { mkdocs } from './mkdocs.mjs';
+import { vuepress } from './vuepress.mjs';
+
+/**
+ * What a documentation framework contributes to the migration. The pipeline itself only
+ * knows the shared forms: `:::type` admonitions, `<Tabs>`/`<TabItem>`, fenced code and
+ * Docusaurus-style sidebar items; an adapter rewrites its framework's syntax into them.
+ * Every member is optional.
+ *
+ * @typedef {Object} SourceAdapter
+ * @property {string} name - `--source-format` value
+ * @property {string} label - Framework name for messages
+ * @property {boolean} [includeMdx] - Always read `.mdx` files
+ * @property {(relPath: string) => boolean} [ignore] - Source files that are not pages
+ * @property {(body: string, ctx: {unsupported: Array<{line: number|null, reason: string}>}) => string} [preprocess]
+ *   Text pre-pass over the body (frontmatter removed) before it is parsed as MDX; must leave
+ *   fenced code alone. Lines in `unsupported` count from the top of the body.
+ * @property {(collect: AdapterCollectors) => import('unified').PluggableList} [remarkPlugins]
+ *   Run right after parsing, before MDX components are collected for the log
+ * @property {ImagePattern[]} [imagePatterns] - Image references beyond Markdown and `<img>`
+ * @property {(filePath: string) => Promise<{config: Object, warnings: string[]}>} [loadNavigation]
+ *   Read the navigation file (`--nav`) as a Docusaurus sidebars config
+ * @property {(srcRoot: string) => Promise<Map<string, {position: number|null, label: string|null}>>} [readCategories]
+ *   Folder labels and positions, keyed by folder path relative to the source root
+ */
+
+/**
+ * @typedef {Object} AdapterCollectors
+ * @property {string[]} images - Referenced image paths
+ * @property {Array<{line: number|null, reason: string}>} unsupported - `UNSUPPORTED_SYNTAX` rows
+ * @property {Array<{line: number|null, reason: string}>} codeBlocks - `UNSUPPORTED_CODE_BLOCK` rows
+ */
+
+/**
+ * @typedef {Object} ImagePattern
+ * @property {RegExp} find - Global; finds a reference, the path in the `url` group
+ * @property {RegExp} [replace] - Global; the text to rewrite, the path in the `url` group
+ * @property {(hostedUrl: string) => string} [hosted] - Replacement once the image is uploaded
+ */
+
+export const SOURCE_ADAPTERS = Object.freeze({
+  docusaurus,
+  mkdocs,
+  gitbook,
+  mintlify,
+  vuepress,
+  vitepress: vuepress,
+});
+
+export const SOURCE_FORMATS = Object.keys(SOURCE_ADAPTERS);
+
+/**
+ * @param {string} [format='docusaurus']
+ * @returns {SourceAdapter}
+ */
+export function getSourceAdapter(format = 'docusaurus') {
+  const adapter = SOURCE_ADAPTERS[String(format).toLowerCase()];
+  if (!adapter) {
+    throw new Error(
+      `Unknown source format "${format}" (expected one of ${SOURCE_FORMATS.join(', ')}).`,
+    );
+  }
+  return adapter;
+}
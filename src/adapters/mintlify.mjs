@@ -0,0 +1,113 @@
+// src/adapters/mintlify.mjs
+import fs from 'node:fs/promises';
+import { visit, SKIP } from 'unist-util-visit';
+
+/** Mintlify callout component → the shared (Docusaurus) admonition type. */
+const CALLOUT_TYPES = {
+  Note: 'note',
+  Info: 'info',
+  Tip: 'tip',
+  Check: 'success',
+  Warning: 'warning',
+  Danger: 'danger',
+};
+
+/**
+ * Mintlify: `<Note>`, `<Tip>`, `<Warning>`, … become admonitions (converted to `<Callout>`
+ * like any other, without a heading since Mintlify shows none), and `<CodeGroup>` becomes a
+ * ReadMe multi-language code block (Mintlify fence titles already use ReadMe's syntax).
+ * `<Tabs>`/`<Tab title>` and `<Accordion>` are ReadMe components as they are.
+ * Navigation comes from `mint.json` (or `docs.json`). Mintlify sites are MDX-only.
+ *
+ * @type {import('./index.mjs').SourceAdapter}
+ */
+export const mintlify = {
+  name: 'mintlify',
+  label: 'Mintlify',
+  includeMdx: true,
+  // Snippets are inlined where they are imported, not migrated as pages
+  ignore: (relPath) => /^snippets\//.test(relPath),
+  remarkPlugins: () => [remarkMintlifyComponents],
+  loadNavigation: loadMintlifyNav,
+};
+
+function remarkMintlifyComponents() {
+  return (tree) => {
+    let groups = 0;
+
+    visit(tree, (node, index, parent) => {
+      if (!parent || index == null) return;
+
+      // `<Warning>Short text</Warning>` on one line sits inside a paragraph
+      const inline =
+        node.type === 'paragraph' &&
+        node.children.length === 1 &&
+        node.children[0].type === 'mdxJsxTextElement'
+          ? node.children[0]
+          : null;
+      const element = inline || (node.type === 'mdxJsxFlowElement' ? node : null);
+      if (!element) return;
+
+      if (Object.hasOwn(CALLOUT_TYPES, element.name)) {
+        parent.children[index] = {
+          type: 'containerDirective',
+          name: CALLOUT_TYPES[element.name],
+          attributes: { title: '' },
+          children: inline
+            ? [{ type: 'paragraph', children: inline.children || [] }]
+            : node.children || [],
+          position: node.position,
+        };
+        return;
+      }
+      if (inline) return;
+
+      if (node.name === 'CodeGroup') {
+        const fences = (node.children || []).filter((child) => child.type === 'code');
+        const codeGroup = `CodeGroup-${++groups}`;
+        for (const fence of fences) fence.data = { ...fence.data, codeGroup };
+        parent.children.splice(index, 1, ...fences);
+        return [SKIP, index + fences.length];
+      }
+    });
+  };
+}
+
+/**
+ * Read the `navigation` of `mint.json` / `docs.json` as a Docusaurus-style sidebar: groups
+ * (and, in `docs.json`, tabs) become categories and pages become docs.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{config: Object, warnings: string[]}>}
+ */
+export async function loadMintlifyNav(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${filePath}: ${err.message}`);
+  }
+
+  const warnings = [];
+  const toItem = (entry) => {
+    if (typeof entry === 'string') return { type: 'doc', id: entry.replace(/^\//, '') };
+    if (entry && typeof entry === 'object') {
+      const label = entry.group || entry.tab;
+      const children = entry.pages || entry.groups;
+      if (label && Array.isArray(children)) {
+        return { type: 'category', label, items: children.map(toItem).filter(Boolean) };
+      }
+      if (entry.href) return { type: 'link', label: label || entry.href, href: entry.href };
+    }
+    warnings.push(`Unsupported navigation entry ${JSON.stringify(entry)}`);
+    return null;
+  };
+
+  const navigation = parsed.navigation;
+  const entries = Array.isArray(navigation)
+    ? navigation
+    : [...(navigation?.tabs || []), ...(navigation?.groups || []), ...(navigation?.pages || [])];
+  if (!entries.length) warnings.push('No navigation found; every doc keeps its default location');
+
+  return { config: { navigation: entries.map(toItem).filter(Boolean) }, warnings };
+}
@@ -0,0 +1,219 @@
+// src/adapters/mkdocs.mjs
+import fs from 'node:fs/promises';
+import yaml from 'js-yaml';
+
+import { isFenceLine, jsxAttribute, mapOutsideCodeSpans, mapProseLines } from './text.mjs';
+
+/** Material for MkDocs admonition type → the shared (Docusaurus) type it reads as. */
+const MKDOCS_TYPES = {
+  note: 'note',
+  abstract: 'info',
+  summary: 'info',
+  tldr: 'info',
+  info: 'info',
+  todo: 'info',
+  tip: 'tip',
+  hint: 'tip',
+  important: 'important',
+  success: 'success',
+  check: 'success',
+  done: 'success',
+  question: 'info',
+  help: 'info',
+  faq: 'info',
+  warning: 'warning',
+  caution: 'caution',
+  attention: 'warning',
+  failure: 'danger',
+  fail: 'danger',
+  missing: 'danger',
+  danger: 'danger',
+  error: 'danger',
+  bug: 'danger',
+  example: 'note',
+  quote: 'note',
+  cite: 'note',
+};
+
+// `!!! note "Title"`, `??? tip` (collapsible), `???+ warning ""`
+const ADMONITION = /^(\s*)(?:!!!|\?\?\?\+?)[ \t]+([\w-]+)(?:[ \t]+"([^"]*)")?[ \t]*$/;
+// `=== "Tab title"` (pymdownx.tabbed)
+const TAB = /^(\s*)===\+?[ \t]+"([^"]*)"[ \t]*$/;
+// attr_list: `![](a.png){ width="300" }`, `[Button](x){ .md-button }`, `## Title { #anchor }`
+const ATTR_LIST =
+  /(\)|[^\s{])[ \t]*\{[ \t]*(?:[.#][\w-]+|[\w-]+=(?:"[^"]*"|'[^']*'|\S+))(?:[ \t]+(?:[.#][\w-]+|[\w-]+=(?:"[^"]*"|'[^']*'|\S+)))*[ \t]*\}/g;
+
+/**
+ * MkDocs (Material): `!!! note` admonitions and `=== "Tab"` content tabs, both written as
+ * 4-space indented blocks, are rewritten to `:::note` directives and `<Tabs>`/`<TabItem>`.
+ * `attr_list` braces, which the MDX parser would read as expressions, are removed.
+ * Navigation comes from the `nav:` of `mkdocs.yml`.
+ *
+ * @type {import('./index.mjs').SourceAdapter}
+ */
+export const mkdocs = {
+  name: 'mkdocs',
+  label: 'MkDocs',
+  preprocess(text, { unsupported }) {
+    let attrLists = 0;
+    const withoutAttrLists = mapProseLines(text, (line) =>
+      mapOutsideCodeSpans(line, (part) =>
+        part.replace(ATTR_LIST, (_whole, before) => {
+          attrLists++;
+          return before;
+        }),
+      ),
+    );
+    if (attrLists) {
+      unsupported.push({ line: null, reason: `${attrLists} attribute list(s) ({ … }) removed` });
+    }
+    return convertIndentedBlocks(withoutAttrLists.split('\n')).join('\n');
+  },
+  loadNavigation: loadMkdocsNav,
+};
+
+/** Rewrite admonition and tab blocks, recursing into their (dedented) bodies. */
+function convertIndentedBlocks(lines) {
+  const out = [];
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (isFenceLine(line)) {
+      const marker = line.trim().match(/^(`{3,}|~{3,})/)[1];
+      if (!fence) fence = marker;
+      else if (marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+      out.push(line);
+      continue;
+    }
+    if (fence) {
+      out.push(line);
+      continue;
+    }
+
+    const admonition = ADMONITION.exec(line);
+    if (admonition) {
+      const [, indent, rawType, title] = admonition;
+      const body = takeIndentedBody(lines, i + 1, indent);
+      const inner = convertIndentedBlocks(body.lines);
+      const type = MKDOCS_TYPES[rawType.toLowerCase()] || rawType;
+      const colons = ':'.repeat(Math.max(3, longestColonRun(inner) + 1));
+      // `"..."` with nothing inside hides the title in MkDocs
+      const label =
+        title === undefined ? '' : title ? `[${title.replace(/[[\]]/g, '\\$&')}]` : '{title=""}';
+      out.push(
+        `${indent}${colons}${type}${label}`,
+        ...indentLines(inner, indent),
+        `${indent}${colons}`,
+      );
+      i = body.end - 1;
+      continue;
+    }
+
+    if (TAB.test(line)) {
+      const indent = TAB.exec(line)[1];
+      out.push(`${indent}<Tabs>`);
+      while (i < lines.length && TAB.exec(lines[i])?.[1] === indent) {
+        const label = TAB.exec(lines[i])[2];
+        const body = takeIndentedBody(lines, i + 1, indent);
+        const inner = convertIndentedBlocks(body.lines);
+        out.push(
+          `${indent}<TabItem label="${jsxAttribute(label)}">`,
+          '',
+          ...indentLines(inner, indent),
+          '',
+          `${indent}</TabItem>`,
+        );
+        i = body.end;
+        // Blank lines between two tabs of the same set
+        while (
+          i < lines.length &&
+          !lines[i].trim() &&
+          TAB.exec(lines[i + 1] || '')?.[1] === indent
+        ) {
+          i++;
+        }
+      }
+      out.push(`${indent}</Tabs>`);
+      i--;
+      continue;
+    }
+
+    out.push(line);
+  }
+  return out;
+}
+
+/** Lines indented 4 more than `indent` (blank lines included) from `start`, dedented. */
+function takeIndentedBody(lines, start, indent) {
+  const prefix = `${indent}    `;
+  let end = start;
+  while (end < lines.length && (lines[end].startsWith(prefix) || !lines[end].trim())) end++;
+  // Trailing blank lines belong to what follows
+  while (end > start && !lines[end - 1].trim()) end--;
+  return {
+    lines: lines.slice(start, end).map((line) => (line.trim() ? line.slice(prefix.length) : '')),
+    end,
+  };
+}
+
+function indentLines(lines, indent) {
+  return lines.map((line) => (line ? indent + line : line));
+}
+
+function longestColonRun(lines) {
+  let longest = 0;
+  for (const line of lines) {
+    const run = /^\s*(:{3,})/.exec(line);
+    if (run) longest = Math.max(longest, run[1].length);
+  }
+  return longest;
+}
+
+/**
+ * Read the `nav:` of `mkdocs.yml` as a Docusaurus-style sidebar: sections become categories
+ * (a section's `index.md` becomes the category page), pages become docs and URLs links.
+ * Custom YAML tags (`!!python/name:…`, `!ENV`) are read as null.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{config: Object, warnings: string[]}>}
+ */
+export async function loadMkdocsNav(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  let parsed;
+  try {
+    parsed = yaml.load(raw.replace(/(:[ \t]+|-[ \t]+)!{1,2}[\w/:.-]+[^\n]*/g, '$1null')) || {};
+  } catch (err) {
+    throw new Error(`Could not parse ${filePath}: ${err.message}`);
+  }
+
+  const warnings = [];
+  if (!Array.isArray(parsed.nav)) {
+    warnings.push('No nav: list found; every doc keeps its default location');
+    return { config: {}, warnings };
+  }
+
+  const toItem = (entry) => {
+    if (typeof entry === 'string') return docItem(entry);
+    if (!entry || typeof entry !== 'object') return null;
+
+    const [label, value] = Object.entries(entry)[0] || [];
+    if (typeof value === 'string') {
+      return /^[a-z][\w+.-]*:/i.test(value) ? { type: 'link', label, href: value } : docItem(value);
+    }
+    if (Array.isArray(value)) {
+      const items = value.map(toItem).filter(Boolean);
+      const index = items.findIndex((item) => item.type === 'doc' && /(^|\/)index$/i.test(item.id));
+      const link = index >= 0 ? items.splice(index, 1)[0] : null;
+      return { type: 'category', label, items, ...(link && { link }) };
+    }
+    warnings.push(`Unsupported nav entry "${label}"`);
+    return null;
+  };
+
+  return { config: { nav: parsed.nav.map(toItem).filter(Boolean) }, warnings };
+}
+
+function docItem(docPath) {
+  return { type: 'doc', id: docPath.replace(/^\.?\//, '').replace(/\.(md|mdx)$/i, '') };
+}
@@ -0,0 +1,58 @@
+// src/adapters/text.mjs
+//
+// Line helpers for the text pre-passes of source adapters. Pre-passes run before the MDX
+// parser, so they must leave fenced and inline code exactly as written.
+
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * Call `fn(line, index)` for every line outside fenced code and use its return value.
+ * Lines inside fences (and the fence lines themselves) are kept as they are.
+ *
+ * @param {string} text
+ * @param {(line: string, index: number) => string} fn
+ * @returns {string}
+ */
+export function mapProseLines(text, fn) {
+  let fence = null;
+  return String(text)
+    .split('\n')
+    .map((line, index) => {
+      const fenceMatch = FENCE.exec(line);
+      if (fenceMatch) {
+        const marker = fenceMatch[1];
+        if (!fence) fence = marker;
+        else if (marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+        return line;
+      }
+      return fence ? line : fn(line, index);
+    })
+    .join('\n');
+}
+
+/** Apply `fn` to the parts of a line that are not inline code spans. */
+export function mapOutsideCodeSpans(line, fn) {
+  return line
+    .split(/(`+[^`]*`+)/)
+    .map((part, i) => (i % 2 ? part : fn(part)))
+    .join('');
+}
+
+/** Whether a line opens or closes a fenced code block. */
+export function isFenceLine(line) {
+  return FENCE.test(line);
+}
+
+/** Escape a value for a double-quoted JSX attribute. */
+export function jsxAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/** `key="value"` / `key='value'` pairs of a template tag (`{% hint style="info" %}`). */
+export function parseTagAttributes(source) {
+  const attributes = {};
+  for (const m of String(source).matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[m[1]] = m[2] ?? m[3];
+  }
+  return attributes;
+}
@@ -0,0 +1,55 @@
+// src/adapters/vuepress.mjs
+import { visit, SKIP } from 'unist-util-visit';
+
+import { mapOutsideCodeSpans, mapProseLines } from './text.mjs';
+
+/**
+ * VuePress / VitePress: `::: tip Title` containers become admonitions (`details` and other
+ * custom containers are kept as default callouts), `::: code-group` becomes a ReadMe
+ * multi-language code block, `:src="$withBase('/img.png')"` becomes a plain `src`, and
+ * `{{ }}` Vue interpolation, which the MDX parser would read as an expression, is escaped
+ * and reported. The sidebar lives in JavaScript config, so there is no navigation import.
+ *
+ * @type {import('./index.mjs').SourceAdapter}
+ */
+export const vuepress = {
+  name: 'vuepress',
+  label: 'VuePress/VitePress',
+  preprocess(text, { unsupported }) {
+    return mapProseLines(text, (line, index) => {
+      // `::: tip` → `:::tip` (the title is handled like a Docusaurus one)
+      let out = line.replace(/^(\s*(?:>\s*)*:{3,})[ \t]+(?=[A-Za-z])/, '$1');
+      out = out.replace(/:src=(["'])\$withBase\(\s*(['"])(.*?)\2\s*\)\1/g, 'src="$3"');
+      return mapOutsideCodeSpans(out, (part) =>
+        part.replace(/\{\{([\s\S]*?)\}\}/g, (_whole, expression) => {
+          unsupported.push({
+            line: index + 1,
+            reason: `Vue interpolation {{${expression}}} kept as text`,
+          });
+          return `\\{\\{${expression}\\}\\}`;
+        }),
+      );
+    });
+  },
+  remarkPlugins: () => [remarkVitepressCodeGroups],
+};
+
+/** `::: code-group` → adjacent fences; `[config.js]` in the fence meta is the title. */
+function remarkVitepressCodeGroups() {
+  return (tree) => {
+    let groups = 0;
+
+    visit(tree, 'containerDirective', (node, index, parent) => {
+      if (node.name !== 'code-group' || !parent || index == null) return;
+      const fences = (node.children || []).filter((child) => child.type === 'code');
+      const codeGroup = `code-group-${++groups}`;
+      for (const fence of fences) {
+        const title = /^\[(.+)\]$/.exec(fence.meta?.trim() || '');
+        if (title) fence.meta = title[1];
+        fence.data = { ...fence.data, codeGroup };
+      }
+      parent.children.splice(index, 1, ...fences);
+      return [SKIP, index + fences.length];
+    });
+  };
+}
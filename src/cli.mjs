@@ -5,43 +5,155 @@ import path from 'node:path';
 import pc from 'picocolors';
 
 import { parseArgs } from './utils/args.mjs';
-import { initLogs, finalizeReport } from './utils/logging.mjs';
+import { initLogs, finalizeReport, appendToLog } from './utils/logging.mjs';
+import { loadFrontmatterMap, DEFAULT_FRONTMATTER_MAP } from './utils/frontmatter.mjs';
+import { findConfigFile, formatHelp, loadConfigFile, optionsFromArgs } from './config.mjs';
 import { runPipeline } from './pipeline.mjs';
+import { publishToReadme } from './publish.mjs';
 
 const rawArgs = parseArgs(process.argv.slice(2));
 
-if (!rawArgs.cwd) {
-  console.error(pc.red('Error: --cwd is required (root directory to scan).'));
+if (rawArgs.help || process.argv.slice(2).includes('-h')) {
+  console.log(formatHelp());
+  process.exit(0);
+}
+
+// --config is relative to where the tool was started; --cwd defaults to the config's folder
+const CONFIG_ARG = typeof rawArgs.config === 'string' ? path.resolve(rawArgs.config) : null;
+if (typeof rawArgs.cwd !== 'string' && !CONFIG_ARG) {
+  console.error(pc.red('Error: --cwd is required (root directory to scan), or pass --config.'));
+  console.error(pc.gray('Run with --help to list every option.'));
   process.exit(1);
 }
-process.chdir(path.resolve(rawArgs.cwd));
+process.chdir(
+  typeof rawArgs.cwd === 'string' ? path.resolve(rawArgs.cwd) : path.dirname(CONFIG_ARG),
+);
 console.log(pc.gray(`cwd => ${process.cwd()}`));
 
-const args = rawArgs;
+// Config file first, then command-line flags on top of it
+let args;
+let CONFIG_FILE = null;
+try {
+  const cliOptions = optionsFromArgs(rawArgs);
+  CONFIG_FILE = CONFIG_ARG || (await findConfigFile(process.cwd()));
+  const fileOptions = CONFIG_FILE ? await loadConfigFile(CONFIG_FILE) : {};
+  if (CONFIG_FILE) console.log(pc.gray(`config => ${CONFIG_FILE}`));
+  args = { ...fileOptions, ...cliOptions };
+} catch (err) {
+  console.error(pc.red(`Error: ${err.message}`));
+  console.error(pc.gray('Run with --help to list every option.'));
+  process.exit(1);
+}
 for (const k of ['src', 'out']) {
   if (!args[k]) {
-    console.error(pc.red(`Error: --${k} is required.`));
+    console.error(pc.red(`Error: --${k} is required (or "${k}" in the config file).`));
     process.exit(1);
   }
 }
 
-const SRC_ROOT = path.resolve(args.src);
-const DEST_ROOT = path.resolve(args.out);
-const COPY_ROOT = args.copy ? path.resolve(args.copy) : null;
-const IMAGES_SRC = args['images-src'] ? path.resolve(args['images-src']) : null;
-const MOVE_MAP_CSV = args['move-map'] ? path.resolve(args['move-map']) : null;
-const INCLUDE_MDX = !!args['include-mdx'];
-const UPLOAD_IMAGES = !!args['upload-images'];
-const FLAT_OUTPUT = !!args['flat-output'];
-const README_API_KEY = process.env.README_API_KEY || null;
+const SRC_ROOT = args.src;
+const DEST_ROOT = args.out;
+const COPY_ROOT = args.copy || null;
+const IMAGES_SRC = args.imagesSrc || null;
+const MOVE_MAP_CSV = args.moveMap || null;
+const MOVE_RULES = args.moves || null;
+// --nav is the framework-neutral name; --sidebars predates the other source formats
+const SIDEBARS_FILE = args.nav || null;
+const SOURCE_FORMAT = args.sourceFormat || 'docusaurus';
+const SIDEBAR_NAME = args.sidebar || null;
+const VERSIONS = !!args.versions;
+const CURRENT_VERSION = args.currentVersion || null;
+const LOCALES = args.locales || [];
+const DEFAULT_LOCALE = args.defaultLocale || null;
+const LINK_STYLE = args.linkStyle || 'doc';
+const LINK_BASE_PATH = args.linkBase ?? '/docs';
+const INCLUDE_MDX = !!args.includeMdx;
+const INCLUDE_GLOBS = args.include || [];
+const EXCLUDE_GLOBS = args.exclude || [];
+const SKIP_DRAFTS = !!args.skipDrafts;
+const UPLOAD_IMAGES = !!args.uploadImages;
+const REFRESH_IMAGES = !!args.refreshImages;
+const FLAT_OUTPUT = !!args.flatOutput;
+const DRY_RUN = !!args.dryRun;
+const FORCE = !!args.force;
+const REMOVE_DELETED = !!args.removeDeleted;
+const ON_CONFLICT = args.onConflict || 'skip';
+const CREATE_ORDER_YAML = !!args.createOrderYaml;
+const README_API_KEY = args.readmeApiKey || process.env.README_API_KEY || null;
+const README_API_BASE_URL = args.readmeApiBaseUrl || process.env.README_API_BASE_URL || null;
+const PUBLISH = !!args.publish;
+const PRUNE = !!args.prune;
+const README_BRANCH = args.readmeBranch || null;
+const UPLOAD_RETRIES = args.uploadRetries ?? null;
+const UPLOAD_TIMEOUT_MS = args.uploadTimeout ?? null;
+const UPLOAD_CONCURRENCY = args.uploadConcurrency ?? null;
+const CONCURRENCY = args.concurrency ?? null;
+const STRICT_MDX = !!args.strictMdx;
+const COMPILE_MDX = !!args.compileMdx;
+const MDX_COMPONENTS = args.mdxComponents || [];
+const REMOVE_COMPONENTS = args.removeComponents || [];
+const CALLOUT_THEMES = args.calloutThemes || null;
+const HTML_POLICY = args.htmlPolicy || null;
 
-// Ensure destination (and optional copy) roots exist
-await fs.mkdir(DEST_ROOT, { recursive: true });
-if (COPY_ROOT) await fs.mkdir(COPY_ROOT, { recursive: true });
+if (PUBLISH && !README_API_KEY) {
+  console.error(
+    pc.red('Error: --publish needs a ReadMe API key (--readme-api-key or README_API_KEY).'),
+  );
+  process.exit(1);
+}
+if (PRUNE && !PUBLISH) {
+  console.error(pc.red('Error: --prune only applies with --publish.'));
+  process.exit(1);
+}
+if (CURRENT_VERSION && !VERSIONS) {
+  console.error(pc.red('Error: --current-version only applies with --versions.'));
+  process.exit(1);
+}
+if (DEFAULT_LOCALE && !LOCALES.length) {
+  console.error(pc.red('Error: --default-locale only applies with --locales.'));
+  process.exit(1);
+}
+if (LOCALES.length && VERSIONS) {
+  console.error(pc.red('Error: --locales and --versions cannot be combined yet.'));
+  process.exit(1);
+}
+if (LOCALES.length && PUBLISH) {
+  console.error(
+    pc.red('Error: --publish does not apply with --locales (each language is its own ReadMe'),
+    pc.red('project, with its own API key).'),
+  );
+  process.exit(1);
+}
+if (README_BRANCH && VERSIONS) {
+  console.error(
+    pc.red('Error: --readme-branch does not apply with --versions (each version is published'),
+    pc.red('to the ReadMe version of the same name).'),
+  );
+  process.exit(1);
+}
 
-// Build concrete log/report paths (strings!) and initialize the CSV header
-const LOG_PATH = path.join(DEST_ROOT, '_log.csv');
-await initLogs(LOG_PATH);
+// A frontmatter map is a file path, or (in the config file) the mapping itself
+let FRONTMATTER_MAP = null;
+if (typeof args.frontmatterMap === 'string') {
+  try {
+    FRONTMATTER_MAP = await loadFrontmatterMap(args.frontmatterMap);
+  } catch (err) {
+    console.error(pc.red(`Error: could not load --frontmatter-map: ${err?.message || err}`));
+    process.exit(1);
+  }
+} else if (args.frontmatterMap) {
+  FRONTMATTER_MAP = { ...DEFAULT_FRONTMATTER_MAP, ...args.frontmatterMap };
+}
+
+// Ensure destination (and optional copy) roots exist, unless this is a dry run
+if (!DRY_RUN) {
+  await fs.mkdir(DEST_ROOT, { recursive: true });
+  if (COPY_ROOT) await fs.mkdir(COPY_ROOT, { recursive: true });
+
+  // Build concrete log/report paths (strings!) and initialize the CSV header
+  const LOG_PATH = path.join(DEST_ROOT, '_log.csv');
+  await initLogs(LOG_PATH);
+}
 
 // Bundle a report object the pipeline can enrich
 const report = {
@@ -52,29 +164,151 @@ const report = {
   copyRoot: COPY_ROOT,
   imagesSrc: IMAGES_SRC,
   uploadImages: UPLOAD_IMAGES,
+  refreshImages: REFRESH_IMAGES,
   moveMapCsv: MOVE_MAP_CSV,
+  sidebarsFile: SIDEBARS_FILE,
+  configFile: CONFIG_FILE,
   files: [],
 };
 
 try {
-  await runPipeline({
+  // The pipeline's report carries per-file details (outputs, images, hosted URLs).
+  const pipelineReport = await runPipeline({
     cwd: process.cwd(),
     srcRoot: SRC_ROOT,
     destRoot: DEST_ROOT,
+    sourceFormat: SOURCE_FORMAT,
     includeMdx: INCLUDE_MDX,
+    include: INCLUDE_GLOBS,
+    exclude: EXCLUDE_GLOBS,
+    skipDrafts: SKIP_DRAFTS,
     copyRoot: COPY_ROOT,
     imagesSrc: IMAGES_SRC,
     uploadImages: UPLOAD_IMAGES,
     readmeApiKey: README_API_KEY,
+    refreshImages: REFRESH_IMAGES,
+    readmeApiBaseUrl: README_API_BASE_URL,
+    uploadRetries: UPLOAD_RETRIES,
+    uploadTimeoutMs: UPLOAD_TIMEOUT_MS,
+    uploadConcurrency: UPLOAD_CONCURRENCY,
     moveMapCsv: MOVE_MAP_CSV,
+    moveRules: MOVE_RULES,
     flatOutput: FLAT_OUTPUT,
+    frontmatterMap: FRONTMATTER_MAP,
+    createOrderYaml: CREATE_ORDER_YAML,
+    sidebarsFile: SIDEBARS_FILE,
+    sidebarName: SIDEBAR_NAME,
+    versions: VERSIONS,
+    currentVersion: CURRENT_VERSION,
+    locales: LOCALES,
+    defaultLocale: DEFAULT_LOCALE ?? undefined,
+    linkStyle: LINK_STYLE,
+    linkBasePath: LINK_BASE_PATH,
+    dryRun: DRY_RUN,
+    force: FORCE,
+    removeDeleted: REMOVE_DELETED,
+    onConflict: ON_CONFLICT,
+    concurrency: CONCURRENCY ?? undefined,
+    strictMdx: STRICT_MDX,
+    compileMdx: COMPILE_MDX,
+    mdxComponents: MDX_COMPONENTS,
+    removeComponents: REMOVE_COMPONENTS,
+    calloutThemes: CALLOUT_THEMES,
+    htmlPolicy: HTML_POLICY,
   });
+  if (pipelineReport) Object.assign(report, pipelineReport);
+  if (report.aborted) process.exitCode = 1;
 } catch (err) {
   console.error(pc.red('Pipeline failed:'), String(err && (err.stack || err.message || err)));
+  report.pipelineError = String(err?.message || err);
 }
 
-// Finalize report JSON (written under DEST_ROOT)
-report.completedAt = new Date().toISOString();
-await finalizeReport(DEST_ROOT, report);
+if (PUBLISH && DRY_RUN) {
+  console.log(pc.gray('\n--publish is skipped in a dry run.'));
+} else if (PUBLISH && (report.aborted || report.pipelineError)) {
+  console.log(pc.yellow('\nNot publishing: the migration did not finish.'));
+} else if (PUBLISH && VERSIONS) {
+  report.publish = {};
+  for (const version of report.versions || []) {
+    report.publish[version.name] = await publish(
+      path.join(DEST_ROOT, version.output),
+      version.name,
+    );
+  }
+} else if (PUBLISH) {
+  report.publish = await publish(DEST_ROOT, README_BRANCH);
+}
 
-console.log(pc.green('\nDone. See _log.csv and migration-report.json.'));
+if (DRY_RUN) {
+  console.log(pc.green('\nDry run complete. Re-run without --dry-run to apply the plan.'));
+} else {
+  // Finalize report JSON (written under DEST_ROOT)
+  report.completedAt = new Date().toISOString();
+  await finalizeReport(DEST_ROOT, report);
+
+  console.log(pc.green('\nDone. See _log.csv and migration-report.json.'));
+}
+
+/** Publish converted docs through the ReadMe API; problems go to their `_log.csv`. */
+async function publish(docsRoot, branch) {
+  const logPath = path.join(docsRoot, '_log.csv');
+  console.log(pc.cyan(`\nPublishing to ReadMe (version ${branch || 'stable'})…`));
+  let summary;
+  try {
+    summary = await publishToReadme(docsRoot, {
+      apiKey: README_API_KEY,
+      branch,
+      prune: PRUNE,
+      api: Object.fromEntries(
+        Object.entries({
+          apiBaseUrl: README_API_BASE_URL,
+          retries: UPLOAD_RETRIES,
+          timeoutMs: UPLOAD_TIMEOUT_MS,
+        }).filter(([, value]) => value != null),
+      ),
+    });
+  } catch (err) {
+    console.error(pc.red('Publishing failed:'), String(err?.message || err));
+    process.exitCode = 1;
+    return { error: String(err?.message || err) };
+  }
+
+  for (const { file, reason } of summary.skipped) {
+    await appendToLog(logPath, 'PUBLISH_SKIPPED', file, `${reason}; not published.`, [], []);
+  }
+  for (const { file, slug, message } of summary.failed) {
+    await appendToLog(
+      logPath,
+      'PUBLISH_FAILED',
+      file,
+      slug ? `${slug}: ${message}` : message,
+      [],
+      [],
+    );
+  }
+  for (const slug of summary.deleted) {
+    await appendToLog(
+      logPath,
+      'PUBLISH_DELETED',
+      '',
+      `Deleted guide ${slug} (not in the docs).`,
+      [],
+      [],
+    );
+  }
+
+  console.log(
+    pc.green(
+      `Published: ${summary.created.length} created, ${summary.updated.length} updated, ` +
+        `${summary.unchanged.length} unchanged, ${summary.deleted.length} deleted` +
+        (summary.createdCategories.length
+          ? `; ${summary.createdCategories.length} new categor${summary.createdCategories.length === 1 ? 'y' : 'ies'}`
+          : ''),
+    ),
+  );
+  if (summary.failed.length) {
+    console.log(pc.yellow(`${summary.failed.length} page(s) failed to publish; see _log.csv.`));
+    process.exitCode = 1;
+  }
+  return summary;
+}
@@ -0,0 +1,591 @@
+// src/config.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import yaml from 'js-yaml';
+
+import { SOURCE_FORMATS } from './adapters/index.mjs';
+import { CONFLICT_POLICIES } from './utils/conflicts.mjs';
+import { CALLOUT_THEMES } from './transform/callouts.mjs';
+import { HTML_ACTIONS } from './transform/htmlToMd.mjs';
+
+/** Config files picked up from `--cwd` when no `--config` is given, in this order. */
+export const CONFIG_FILE_NAMES = Object.freeze([
+  'migration.config.json',
+  'migration.config.yaml',
+  'migration.config.yml',
+  'migration.config.mjs',
+]);
+
+/**
+ * One migration option. The same table validates the config file and the command line and
+ * prints `--help`, so a new option only needs a row here (and its use in cli.mjs).
+ *
+ * @typedef {Object} OptionSpec
+ * @property {string} key - Config file key
+ * @property {string|null} flag - Command-line flag without `--` (null: config file only)
+ * @property {'path'|'string'|'boolean'|'number'|'list'|'globs'|'object'} type - `path` is
+ *   resolved against the config file's folder (or `--cwd` on the command line); `list` is an
+ *   array, or comma-separated on the command line; `globs` is an array, or a repeated flag
+ * @property {readonly string[]} [values] - Allowed values of a `string`
+ * @property {boolean} [positive] - A `number` that must be above 0
+ * @property {(value: Object) => string[]} [check] - Problems with an `object` value
+ * @property {boolean} [orPath] - An `object` option that also accepts a file path
+ * @property {string[]} [aliases] - Other flags for the same option
+ * @property {boolean} [cliOnly] - Not accepted in the config file
+ * @property {string} [arg] - Value placeholder in `--help`
+ * @property {string} description
+ */
+
+/** @type {OptionSpec[]} */
+export const OPTIONS = [
+  // Where to read and write
+  {
+    key: 'cwd',
+    flag: 'cwd',
+    type: 'path',
+    cliOnly: true,
+    arg: 'dir',
+    description:
+      'Directory to run in; command-line paths are relative to it (default: the config file folder)',
+  },
+  {
+    key: 'config',
+    flag: 'config',
+    type: 'path',
+    cliOnly: true,
+    arg: 'file',
+    description: 'Config file (default: migration.config.{json,yaml,yml,mjs} in --cwd)',
+  },
+  { key: 'src', flag: 'src', type: 'path', arg: 'dir', description: 'Source docs (required)' },
+  { key: 'out', flag: 'out', type: 'path', arg: 'dir', description: 'Destination (required)' },
+  { key: 'copy', flag: 'copy', type: 'path', arg: 'dir', description: 'Second output directory' },
+  {
+    key: 'sourceFormat',
+    flag: 'source-format',
+    type: 'string',
+    values: SOURCE_FORMATS,
+    arg: 'format',
+    description: 'Framework the docs come from (default: docusaurus)',
+  },
+  { key: 'includeMdx', flag: 'include-mdx', type: 'boolean', description: 'Also read .mdx files' },
+  {
+    key: 'include',
+    flag: 'include',
+    type: 'globs',
+    arg: 'glob',
+    description: 'Only migrate source files matching this glob (repeatable)',
+  },
+  {
+    key: 'exclude',
+    flag: 'exclude',
+    type: 'globs',
+    arg: 'glob',
+    description: 'Skip source files matching this glob (repeatable; also .migrationignore)',
+  },
+  {
+    key: 'skipDrafts',
+    flag: 'skip-drafts',
+    type: 'boolean',
+    description: 'Skip docs with draft: true frontmatter',
+  },
+  {
+    key: 'nav',
+    flag: 'nav',
+    aliases: ['sidebars'],
+    type: 'path',
+    arg: 'file',
+    description: 'Navigation file placing and ordering docs (sidebars.js, mkdocs.yml, …)',
+  },
+  {
+    key: 'sidebar',
+    flag: 'sidebar',
+    type: 'string',
+    arg: 'name',
+    description: 'Only use this sidebar from the navigation file',
+  },
+  {
+    key: 'versions',
+    flag: 'versions',
+    type: 'boolean',
+    description: 'Docusaurus site with versions.json: one output folder per version',
+  },
+  {
+    key: 'currentVersion',
+    flag: 'current-version',
+    type: 'string',
+    arg: 'version',
+    description: 'With --versions, ReadMe version for docs/ (default: current)',
+  },
+  {
+    key: 'locales',
+    flag: 'locales',
+    type: 'list',
+    arg: 'locales',
+    description: 'Docusaurus site: also migrate these i18n/ translations, one folder per locale',
+  },
+  {
+    key: 'defaultLocale',
+    flag: 'default-locale',
+    type: 'string',
+    arg: 'locale',
+    description: 'With --locales, the language of docs/ (default: en)',
+  },
+
+  // Output layout and move rules
+  {
+    key: 'flatOutput',
+    flag: 'flat-output',
+    type: 'boolean',
+    description: 'Write every doc to the destination root',
+  },
+  {
+    key: 'moveMap',
+    flag: 'move-map',
+    type: 'path',
+    arg: 'file',
+    description: 'CSV of file,destination moving docs into existing folders',
+  },
+  {
+    key: 'moves',
+    flag: null,
+    type: 'object',
+    check: checkMoves,
+    description: 'Move rules { "file.md": "Destination/Folder" }, applied over --move-map',
+  },
+  {
+    key: 'createOrderYaml',
+    flag: 'create-order-yaml',
+    type: 'boolean',
+    description: "Create _order.yaml in folders that don't have one",
+  },
+  {
+    key: 'onConflict',
+    flag: 'on-conflict',
+    type: 'string',
+    values: CONFLICT_POLICIES,
+    arg: 'policy',
+    description: 'When an output is claimed twice or not ours (default: skip)',
+  },
+
+  // Content
+  {
+    key: 'frontmatterMap',
+    flag: 'frontmatter-map',
+    type: 'object',
+    orPath: true,
+    check: checkFrontmatterMap,
+    arg: 'file',
+    description: 'Frontmatter mapping merged over the defaults (JSON/YAML file, or inline)',
+  },
+  {
+    key: 'calloutThemes',
+    flag: null,
+    type: 'object',
+    check: checkCalloutThemes,
+    description: 'Admonition type → { icon, theme, title } for its <Callout>',
+  },
+  {
+    key: 'htmlPolicy',
+    flag: null,
+    type: 'object',
+    check: checkHtmlPolicy,
+    description: `HTML tag → ${HTML_ACTIONS.join(', ')} (overrides the built-in policy)`,
+  },
+  {
+    key: 'linkStyle',
+    flag: 'link-style',
+    type: 'string',
+    values: ['doc', 'path'],
+    arg: 'style',
+    description: 'Rewritten doc links: doc:slug or <link-base>/slug (default: doc)',
+  },
+  {
+    key: 'linkBase',
+    flag: 'link-base',
+    type: 'string',
+    arg: 'path',
+    description: 'Prefix for --link-style path (default: /docs)',
+  },
+  {
+    key: 'mdxComponents',
+    flag: 'mdx-components',
+    type: 'list',
+    arg: 'names',
+    description: "JSX components to allow besides ReadMe's built-ins",
+  },
+  {
+    key: 'removeComponents',
+    flag: 'remove-components',
+    type: 'list',
+    arg: 'names',
+    description: 'JSX components to remove from the output, children included',
+  },
+  {
+    key: 'strictMdx',
+    flag: 'strict-mdx',
+    type: 'boolean',
+    description: "Don't write documents that fail MDX validation",
+  },
+  {
+    key: 'compileMdx',
+    flag: 'compile-mdx',
+    type: 'boolean',
+    description: 'Also compile every document with @mdx-js/mdx',
+  },
+
+  // Images
+  {
+    key: 'imagesSrc',
+    flag: 'images-src',
+    type: 'path',
+    arg: 'dir',
+    description: 'Where local images live (e.g. static/)',
+  },
+  {
+    key: 'uploadImages',
+    flag: 'upload-images',
+    type: 'boolean',
+    description: 'Upload images to ReadMe and link the hosted URLs',
+  },
+  {
+    key: 'refreshImages',
+    flag: 'refresh-images',
+    type: 'boolean',
+    description: 'Upload every image again, ignoring the upload cache',
+  },
+  {
+    key: 'readmeApiKey',
+    flag: 'readme-api-key',
+    type: 'string',
+    cliOnly: true,
+    arg: 'key',
+    description: 'ReadMe API key (default: README_API_KEY)',
+  },
+  {
+    key: 'readmeApiBaseUrl',
+    flag: 'readme-api-base-url',
+    type: 'string',
+    arg: 'url',
+    description: 'ReadMe API origin (default: README_API_BASE_URL or https://api.readme.com)',
+  },
+  {
+    key: 'uploadRetries',
+    flag: 'upload-retries',
+    type: 'number',
+    description: 'Extra attempts per image upload or publish request (default: 3)',
+  },
+  {
+    key: 'uploadTimeout',
+    flag: 'upload-timeout',
+    type: 'number',
+    positive: true,
+    arg: 'ms',
+    description: 'Per-request upload/publish timeout (default: 30000)',
+  },
+  {
+    key: 'uploadConcurrency',
+    flag: 'upload-concurrency',
+    type: 'number',
+    positive: true,
+    description: 'Image uploads in flight (default: 4)',
+  },
+  {
+    key: 'publish',
+    flag: 'publish',
+    type: 'boolean',
+    description: 'Create or update the converted docs through the ReadMe API',
+  },
+  {
+    key: 'prune',
+    flag: 'prune',
+    type: 'boolean',
+    description: 'With --publish, delete ReadMe guides no longer in the docs',
+  },
+  {
+    key: 'readmeBranch',
+    flag: 'readme-branch',
+    type: 'string',
+    arg: 'version',
+    description: 'ReadMe version to publish to (default: stable)',
+  },
+
+  // Run
+  {
+    key: 'concurrency',
+    flag: 'concurrency',
+    type: 'number',
+    positive: true,
+    description: 'Source files converted at once (default: 4)',
+  },
+  {
+    key: 'force',
+    flag: 'force',
+    type: 'boolean',
+    description: 'Reconvert every file, ignoring the migration manifest',
+  },
+  {
+    key: 'removeDeleted',
+    flag: 'remove-deleted',
+    type: 'boolean',
+    description: 'Delete outputs whose source is gone (unless edited)',
+  },
+  {
+    key: 'dryRun',
+    flag: 'dry-run',
+    type: 'boolean',
+    cliOnly: true,
+    description: 'Print the plan without writing anything',
+  },
+  { key: 'help', flag: 'help', type: 'boolean', cliOnly: true, description: 'Show this help' },
+];
+
+/**
+ * The config file in `dir`, if there is one.
+ *
+ * @param {string} dir
+ * @returns {Promise<string|null>}
+ */
+export async function findConfigFile(dir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(dir, name);
+    try {
+      if ((await fs.stat(candidate)).isFile()) return candidate;
+    } catch {
+      // not there
+    }
+  }
+  return null;
+}
+
+/**
+ * Read and validate a config file (JSON, YAML, or an ES module default-exporting the
+ * object). Paths in it are resolved against the file's folder.
+ *
+ * @param {string} filePath
+ * @returns {Promise<Object>} Options keyed by `OptionSpec.key`
+ * @throws {Error} Listing every problem found
+ */
+export async function loadConfigFile(filePath) {
+  let raw;
+  try {
+    if (/\.m?js$/i.test(filePath)) {
+      raw = (await import(pathToFileURL(filePath).href)).default;
+    } else {
+      const text = await fs.readFile(filePath, 'utf8');
+      raw = /\.json$/i.test(filePath) ? JSON.parse(text) : yaml.load(text);
+    }
+  } catch (err) {
+    throw new Error(`Could not read config file ${filePath}: ${err.message}`);
+  }
+  if (!isPlainObject(raw)) {
+    throw new Error(`Config file ${filePath} must contain an object of options.`);
+  }
+
+  const options = {};
+  const problems = [];
+  for (const [key, value] of Object.entries(raw)) {
+    const spec = OPTIONS.find((option) => option.key === key);
+    if (!spec) {
+      const guess = suggest(key, (option) => option.key);
+      problems.push(`Unknown option "${key}"${guess ? ` (did you mean "${guess.key}"?)` : ''}`);
+    } else if (spec.cliOnly) {
+      problems.push(`"${key}" can only be given on the command line (--${spec.flag})`);
+    } else if (value != null) {
+      const result = coerce(spec, value, path.dirname(filePath), false);
+      if (result.error) problems.push(`"${key}" ${result.error}`);
+      else options[key] = result.value;
+    }
+  }
+  if (problems.length) {
+    throw new Error(
+      `Invalid config file ${filePath}:\n${problems.map((p) => `  - ${p}`).join('\n')}`,
+    );
+  }
+  return options;
+}
+
+/**
+ * Validate command-line flags (as returned by `parseArgs`) against `OPTIONS`. Paths are
+ * resolved against `baseDir`.
+ *
+ * @param {Object<string, string|true>} args
+ * @param {string} [baseDir=process.cwd()]
+ * @returns {Object} Options keyed by `OptionSpec.key`
+ * @throws {Error} Listing every problem found
+ */
+export function optionsFromArgs(args, baseDir = process.cwd()) {
+  const options = {};
+  const problems = [];
+  for (const [flag, value] of Object.entries(args)) {
+    const spec = OPTIONS.find((option) => option.flag === flag || option.aliases?.includes(flag));
+    if (!spec) {
+      const guess = suggest(flag, (option) => option.flag);
+      problems.push(`Unknown flag --${flag}${guess ? ` (did you mean --${guess.flag}?)` : ''}`);
+      continue;
+    }
+    if (Array.isArray(value) && spec.type !== 'globs') {
+      problems.push(`--${flag} given more than once`);
+      continue;
+    }
+    const result = coerce(spec, value, baseDir, true);
+    if (result.error) problems.push(`--${flag} ${result.error}`);
+    else options[spec.key] = result.value;
+  }
+  if (problems.length) {
+    throw new Error(`Invalid options:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+  }
+  return options;
+}
+
+/**
+ * `--help` text, generated from `OPTIONS`.
+ *
+ * @returns {string}
+ */
+export function formatHelp() {
+  const rows = OPTIONS.filter((option) => option.flag).map((option) => {
+    const arg = option.type === 'boolean' ? '' : ` <${option.arg || option.type}>`;
+    const aliases = (option.aliases || []).map((alias) => `, --${alias}`).join('');
+    const values = option.values ? ` [${option.values.join('|')}]` : '';
+    const key = option.cliOnly ? '' : ` {${option.key}}`;
+    return [`--${option.flag}${aliases}${arg}`, `${option.description}${values}${key}`];
+  });
+  const configOnly = OPTIONS.filter((option) => !option.flag).map((option) => [
+    option.key,
+    option.description,
+  ]);
+  const width = Math.max(...[...rows, ...configOnly].map(([left]) => left.length)) + 2;
+  const table = (entries) => entries.map(([left, right]) => `  ${left.padEnd(width)}${right}`);
+
+  return [
+    'Usage: convert-to-readme-mdx --cwd <dir> --src <dir> --out <dir> [options]',
+    '       convert-to-readme-mdx --config migration.config.yaml [options]',
+    '',
+    'Options can also be set in migration.config.{json,yaml,yml,mjs} (keys in braces);',
+    'flags override the file.',
+    '',
+    'Options:',
+    ...table(rows),
+    '',
+    'Config file only:',
+    ...table(configOnly),
+  ].join('\n');
+}
+
+/* ---------------- internal ---------------- */
+
+/** Check and convert one value; command-line values are strings (or `true` without one). */
+function coerce(spec, value, baseDir, fromCli) {
+  const got = ` (got ${JSON.stringify(value)})`;
+  switch (spec.type) {
+    case 'boolean':
+      if (fromCli) return { value: value !== 'false' };
+      return typeof value === 'boolean' ? { value } : { error: `must be true or false${got}` };
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      // A timeout of 0 aborts every request, a concurrency of 0 runs nothing
+      const valid =
+        typeof number === 'number' &&
+        Number.isFinite(number) &&
+        (spec.positive ? number > 0 : number >= 0);
+      return valid
+        ? { value: number }
+        : { error: `must be a ${spec.positive ? 'positive' : 'non-negative'} number${got}` };
+    }
+    case 'list': {
+      const list = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(list) || list.some((item) => typeof item !== 'string')) {
+        return { error: `must be a list of names${got}` };
+      }
+      return { value: list.map((item) => item.trim()).filter(Boolean) };
+    }
+    case 'globs': {
+      const globs = [].concat(value);
+      if (globs.some((glob) => typeof glob !== 'string' || !glob.trim())) {
+        return { error: `must be a glob or a list of globs${got}` };
+      }
+      return { value: globs.map((glob) => glob.trim()) };
+    }
+    case 'object':
+      if (spec.orPath && typeof value === 'string' && value.trim()) {
+        return { value: path.resolve(baseDir, value) };
+      }
+      if (fromCli || !isPlainObject(value)) {
+        return { error: `must be ${spec.orPath ? 'a file path' : 'an object'}${got}` };
+      }
+      {
+        const problems = spec.check?.(value) || [];
+        return problems.length ? { error: problems.join('; ') } : { value };
+      }
+    default: {
+      // path / string
+      if (value === true) return { error: 'needs a value' };
+      if (typeof value !== 'string')
+        return { error: `must be a ${spec.type === 'path' ? 'path' : 'string'}${got}` };
+      if (!value.trim()) return { error: 'needs a value' };
+      if (spec.values && !spec.values.includes(value)) {
+        return { error: `must be one of ${spec.values.join(', ')}${got}` };
+      }
+      return { value: spec.type === 'path' ? path.resolve(baseDir, value) : value };
+    }
+  }
+}
+
+function checkMoves(moves) {
+  return Object.entries(moves)
+    .filter(([, destination]) => destination != null && typeof destination !== 'string')
+    .map(([file]) => `"${file}" must map to a destination folder`);
+}
+
+function checkFrontmatterMap(map) {
+  const transforms = ['boolean', 'join', 'slug', 'string'];
+  return Object.entries(map)
+    .filter(
+      ([, rule]) =>
+        !(
+          rule === null ||
+          typeof rule === 'string' ||
+          (isPlainObject(rule) &&
+            typeof rule.to === 'string' &&
+            (rule.transform == null || transforms.includes(rule.transform)))
+        ),
+    )
+    .map(([key]) => `"${key}" must be a target path, { to, transform } or null`);
+}
+
+function checkCalloutThemes(themes) {
+  const problems = [];
+  for (const [type, callout] of Object.entries(themes)) {
+    if (!isPlainObject(callout)) {
+      problems.push(`"${type}" must be an object of icon, theme and title`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(callout)) {
+      if (!['icon', 'theme', 'title'].includes(field)) {
+        problems.push(`"${type}.${field}" is not one of icon, theme, title`);
+      } else if (typeof value !== 'string') {
+        problems.push(`"${type}.${field}" must be a string`);
+      } else if (field === 'theme' && !CALLOUT_THEMES.includes(value)) {
+        problems.push(`"${type}.theme" must be one of ${CALLOUT_THEMES.join(', ')}`);
+      }
+    }
+  }
+  return problems;
+}
+
+function checkHtmlPolicy(policy) {
+  return Object.entries(policy)
+    .filter(([, action]) => !HTML_ACTIONS.includes(action))
+    .map(([tag]) => `"${tag}" must be one of ${HTML_ACTIONS.join(', ')}`);
+}
+
+/** The option whose name matches `name` ignoring case, dashes and underscores. */
+function suggest(name, nameOf) {
+  const loose = (s) => String(s).toLowerCase().replace(/[-_]/g, '');
+  return OPTIONS.find((option) => nameOf(option) && loose(nameOf(option)) === loose(name)) || null;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
@@ -1,56 +1,193 @@
 // src/images/uploader.mjs
+import crypto from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import { fetch, FormData, File } from 'undici';
+import { FormData, File } from 'undici';
+
+import { fetchWithRetry } from '../utils/http.mjs';
+import { createLimiter } from '../utils/pool.mjs';
+
+/**
+ * Upload tuning. Every field can be overridden per call via `opts.upload`.
+ * - apiBaseUrl: ReadMe API origin (point it at a local stub server for testing)
+ * - retries: extra attempts after the first one for 429/5xx/network errors/timeouts
+ * - timeoutMs: per-request timeout
+ * - backoffMs / maxBackoffMs: exponential backoff base and cap (Retry-After wins when sent, up
+ *   to the cap)
+ * - concurrency: max uploads in flight across the whole run
+ */
+export const DEFAULT_UPLOAD_OPTIONS = Object.freeze({
+  apiBaseUrl: 'https://api.readme.com',
+  retries: 3,
+  timeoutMs: 30000,
+  backoffMs: 500,
+  maxBackoffMs: 30000,
+  concurrency: 4,
+});
 
 /**
- * Simple in-memory cache so we don't re-upload the same local file.
- * Key: absolute local file path
- * Val: hosted URL returned by ReadMe
+ * Upload cache so we don't re-upload the same image bytes, within a run or across runs.
+ * Key: sha256 of the file content (renamed/moved files with identical bytes share an entry)
+ * Val: { url, uploadedAt, sourcePath }
+ *
+ * When `loadUploadCache()` has been called, the cache is mirrored to a JSON file on disk.
  */
 const UPLOAD_CACHE = new Map();
 
+/** Hashes uploaded during this process (so `refresh` uploads each image only once per run). */
+const UPLOADED_THIS_RUN = new Set();
+
+/** Uploads in flight, by hash, so concurrent docs referencing the same image share one request. */
+const IN_FLIGHT = new Map();
+
+/** Run-wide upload pool; rebuilt only when the configured concurrency changes. */
+let uploadLimiter = null;
+let uploadLimiterSize = 0;
+
+function getUploadLimiter(concurrency) {
+  if (!uploadLimiter || uploadLimiterSize !== concurrency) {
+    uploadLimiter = createLimiter(concurrency);
+    uploadLimiterSize = concurrency;
+  }
+  return uploadLimiter;
+}
+
+const CACHE_VERSION = 1;
+let cacheFilePath = null;
+let pendingWrite = Promise.resolve();
+
+/**
+ * Load the persistent upload cache from disk and keep it in sync from now on.
+ * A missing or unreadable file starts an empty cache.
+ *
+ * @param {string} filePath - Absolute path of the cache JSON (under the destination root)
+ * @returns {Promise<number>} Number of cached entries loaded
+ */
+export async function loadUploadCache(filePath) {
+  if (!filePath) throw new TypeError('loadUploadCache: filePath is empty');
+  cacheFilePath = filePath;
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return UPLOAD_CACHE.size;
+  }
+
+  const entries = parsed && parsed.version === CACHE_VERSION ? parsed.entries || {} : {};
+  for (const [hash, entry] of Object.entries(entries)) {
+    if (entry && typeof entry.url === 'string' && entry.url) UPLOAD_CACHE.set(hash, entry);
+  }
+  return UPLOAD_CACHE.size;
+}
+
+/**
+ * Write the upload cache to disk (no-op unless `loadUploadCache()` was called).
+ * Writes are serialized and go through a temp file, so a crash never leaves half a JSON file.
+ */
+export function saveUploadCache() {
+  if (!cacheFilePath) return Promise.resolve();
+  const target = cacheFilePath;
+  const write = pendingWrite.then(async () => {
+    const body = {
+      version: CACHE_VERSION,
+      entries: Object.fromEntries([...UPLOAD_CACHE].sort(([a], [b]) => a.localeCompare(b))),
+    };
+    const tmp = `${target}.tmp`;
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify(body, null, 2) + '\n', 'utf8');
+    await fs.rename(tmp, target);
+  });
+  // The caller sees this write's failure; the next write still runs
+  pendingWrite = write.catch(() => {});
+  return write;
+}
+
 /**
  * Upload a single image file to ReadMe v2 Images API.
  * Uses Bearer auth and multipart/form-data with field "file".
+ * Retries 429/5xx responses, network errors and timeouts with exponential backoff (see
+ * utils/http.mjs).
  *
  * @param {string} absolutePath - Absolute local path to image
  * @param {string} apiKey - ReadMe API key (Bearer)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.refresh=false] - Ignore cached URLs from earlier runs and upload again
+ * @param {Partial<typeof DEFAULT_UPLOAD_OPTIONS>} [opts.upload] - Upload tuning overrides
  * @returns {Promise<string>} hosted image URL
  */
-export async function uploadImageToReadme(absolutePath, apiKey) {
+export async function uploadImageToReadme(absolutePath, apiKey, opts = {}) {
+  const { url } = await uploadImageCached(absolutePath, apiKey, opts);
+  return url;
+}
+
+/**
+ * Same as `uploadImageToReadme`, but also reports whether the URL came from the cache.
+ * @returns {Promise<{url: string, cached: boolean}>}
+ */
+async function uploadImageCached(absolutePath, apiKey, { refresh = false, upload = {} } = {}) {
   if (!absolutePath) throw new Error('uploadImageToReadme: absolutePath is required.');
   if (!apiKey) throw new Error('uploadImageToReadme: README API key is missing.');
-
-  // Cache hit?
-  const cached = UPLOAD_CACHE.get(absolutePath);
-  if (cached) return cached;
+  const settings = { ...DEFAULT_UPLOAD_OPTIONS, ...upload };
 
   const buffer = await fs.readFile(absolutePath);
-  const form = new FormData();
-  form.append('file', new File([buffer], path.basename(absolutePath)));
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
 
-  const res = await fetch('https://api.readme.com/v2/images', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${apiKey}` },
-    body: form,
-  });
+  // Cache hit? With `refresh`, only uploads from this run count.
+  const cached = UPLOAD_CACHE.get(hash);
+  if (cached && (!refresh || UPLOADED_THIS_RUN.has(hash))) {
+    return { url: cached.url, cached: true };
+  }
+  if (IN_FLIGHT.has(hash)) {
+    return { url: await IN_FLIGHT.get(hash), cached: true };
+  }
+
+  const limit = getUploadLimiter(settings.concurrency);
+  const pending = limit(() =>
+    postImageToReadme(buffer, path.basename(absolutePath), apiKey, settings),
+  );
+  IN_FLIGHT.set(hash, pending);
+  try {
+    const url = await pending;
+    UPLOAD_CACHE.set(hash, {
+      url,
+      uploadedAt: new Date().toISOString(),
+      sourcePath: absolutePath,
+    });
+    UPLOADED_THIS_RUN.add(hash);
+    return { url, cached: false };
+  } finally {
+    IN_FLIGHT.delete(hash);
+  }
+}
+
+async function postImageToReadme(buffer, fileName, apiKey, settings) {
+  const endpoint = `${String(settings.apiBaseUrl).replace(/\/+$/, '')}/v2/images`;
+  const res = await fetchWithRetry(
+    endpoint,
+    () => {
+      const form = new FormData();
+      form.append('file', new File([buffer], fileName));
+      return { method: 'POST', headers: { Authorization: `Bearer ${apiKey}` }, body: form };
+    },
+    settings,
+    'Upload',
+  );
 
   if (!res.ok) {
     const text = await res.text().catch(() => '');
     throw new Error(`Upload failed (${res.status} ${res.statusText}): ${text.slice(0, 500)}`);
   }
-
   const json = await res.json().catch(() => ({}));
   const url = json?.data?.url || json?.url;
   if (!url) throw new Error('Upload succeeded but no URL was returned by ReadMe.');
-  UPLOAD_CACHE.set(absolutePath, url);
   return url;
 }
 
 /**
  * Resolve a set of original doc image paths (e.g., "/img/foo.png") to local files,
- * upload them if found, and return a mapping origPath -> { local, url }.
+ * upload them if found, and return a mapping origPath -> { local, url, cached }.
+ * Uploads run through the run-wide pool; log rows are written in input order.
  * Logs missing locals or remote upload failures.
  *
  * @param {string[]} originalPaths - Paths as referenced in docs ("/img/...", "/assets/...", etc.)
@@ -60,48 +197,59 @@ export async function uploadImageToReadme(absolutePath, apiKey) {
  * @param {Function} opts.appendToLog - (logPath, type, file, errorMsg, removedCodeArr, missingImagesArr) => Promise<void>
  * @param {string} opts.logPath - Absolute path to _log.csv
  * @param {string} opts.relFile - Current doc's relative path (for logging context)
- * @returns {Promise<Map<string, {local: string, url: string}>>}
+ * @param {boolean} [opts.refresh=false] - Force new uploads even when the cache has a URL
+ * @param {Partial<typeof DEFAULT_UPLOAD_OPTIONS>} [opts.upload] - Upload tuning overrides
+ * @returns {Promise<Map<string, {local: string, url: string, cached: boolean}>>}
  */
 export async function uploadImagesForDocSmart(originalPaths, imageIndex, apiKey, opts = {}) {
-  const { appendToLog, logPath, relFile } = opts;
+  const { appendToLog, logPath, relFile, refresh = false, upload = {} } = opts;
   const results = new Map();
   const unique = Array.from(new Set((originalPaths || []).filter(Boolean)));
 
   // Lazy import to avoid circular deps on some setups
   const { resolveLocalImageSmart } = await import('./indexer.mjs');
 
-  for (const orig of unique) {
-    try {
-      const localAbs = resolveLocalImageSmart(orig, imageIndex);
+  const outcomes = await Promise.all(
+    unique.map(async (orig) => {
+      try {
+        const localAbs = resolveLocalImageSmart(orig, imageIndex);
+        if (!localAbs) return { orig, missing: true };
 
-      if (!localAbs) {
-        if (appendToLog) {
-          await appendToLog(logPath, 'LOCAL_IMAGE_NOT_FOUND', relFile || '', '', [], [orig]);
-        }
-        continue;
+        const { url, cached } = await uploadImageCached(localAbs, apiKey, { refresh, upload });
+        return { orig, local: localAbs, url, cached };
+      } catch (err) {
+        return { orig, error: err };
       }
+    }),
+  );
 
-      const hostedUrl = await uploadImageToReadme(localAbs, apiKey);
-      results.set(orig, { local: localAbs, url: hostedUrl });
-
-      // Optional: log success for auditing (comment out if too chatty)
-      // if (appendToLog) {
-      //   await appendToLog(logPath, 'IMAGE_UPLOADED', relFile || '', '', [], [`${orig} => ${hostedUrl}`]);
-      // }
-    } catch (err) {
+  let uploadedAny = false;
+  for (const outcome of outcomes) {
+    const { orig } = outcome;
+    if (outcome.missing) {
+      if (appendToLog) {
+        await appendToLog(logPath, 'LOCAL_IMAGE_NOT_FOUND', relFile || '', '', [], [orig]);
+      }
+    } else if (outcome.error) {
       if (appendToLog) {
         await appendToLog(
           logPath,
           'REMOTE_IMAGE_UPLOAD_FAILED',
           relFile || '',
-          String(err && (err.message || err)),
+          String(outcome.error.message || outcome.error),
           [],
           [orig],
         );
       }
+    } else {
+      results.set(orig, { local: outcome.local, url: outcome.url, cached: outcome.cached });
+      if (!outcome.cached) uploadedAny = true;
     }
   }
 
+  // Persist after every doc that uploaded something, so an interrupted run keeps its progress.
+  if (uploadedAny) await saveUploadCache();
+
   return results;
 }
 
@@ -110,6 +258,8 @@ export async function uploadImagesForDocSmart(originalPaths, imageIndex, apiKey,
  */
 export function _clearUploadCache() {
   UPLOAD_CACHE.clear();
+  UPLOADED_THIS_RUN.clear();
+  cacheFilePath = null;
 }
 export function _getUploadCacheSnapshot() {
   return new Map(UPLOAD_CACHE);
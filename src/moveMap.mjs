@@ -74,6 +74,43 @@ export async function readMoveMapCsv(csvPath, outRootDirectory) {
   return { map, dupes };
 }
 
+/**
+ * Add move rules from the config file (`moves: { "file.md": "Destination/Folder" }`) to a
+ * move map, with the same semantics as CSV rows. A rule replaces a CSV row for the same
+ * filename; two rules for the same filename make it a duplicate.
+ *
+ * @param {Object<string, string|null>} rules - filename → destination directory
+ * @param {string} outRootDirectory
+ * @param {{map: Map, dupes: Set}} [base] - Map read from a move-map CSV
+ * @returns {{map: Map, dupes: Set}}
+ */
+export function addMoveRules(rules, outRootDirectory, base = { map: new Map(), dupes: new Set() }) {
+  const map = new Map(base.map);
+  const dupes = new Set(base.dupes);
+  const seen = new Set();
+
+  for (const [file, destination] of Object.entries(rules || {})) {
+    const filenameKey = path.basename(file).toLowerCase();
+    if (seen.has(filenameKey)) dupes.add(filenameKey);
+    else dupes.delete(filenameKey);
+    seen.add(filenameKey);
+
+    const destLiteral = String(destination ?? '')
+      .trim()
+      .replace(/[/\\]+$/, '');
+    map.set(
+      filenameKey,
+      !destLiteral
+        ? null
+        : path.isAbsolute(destLiteral)
+          ? path.normalize(destLiteral)
+          : path.normalize(path.join(outRootDirectory, destLiteral)),
+    );
+  }
+
+  return { map, dupes };
+}
+
 /**
  * Apply the move mapping for a single output file.
  * Returns the FINAL absolute file path where the doc should be written.
@@ -11,7 +11,7 @@ import remarkMdx from 'remark-mdx';
 import remarkFrontmatter from 'remark-frontmatter';
 import remarkStringify from 'remark-stringify';
 import matter from 'gray-matter';
-import { visit } from 'unist-util-visit';
+import { visit, SKIP } from 'unist-util-visit';
 
 import {
   findMarkdownFilesRecursive,
@@ -19,22 +19,56 @@ import {
   updateAllOrderYamlIfPresent,
 } from './utils/fileops.mjs';
 
-import { transformDocusaurusTabsToTarget } from './transform/tabs.mjs';
-import { convertNoteTipBlocks } from './transform/callouts.mjs';
+import { remarkDocusaurusTabs } from './transform/tabs.mjs';
+import { remarkCodeFences } from './transform/codeBlocks.mjs';
+import { inlinePartials } from './transform/partials.mjs';
+import { convertHtmlComments } from './transform/comments.mjs';
+import { convertHtmlTables } from './transform/tables.mjs';
+import {
+  normalizeAdmonitionTitles,
+  remarkDirectiveSyntax,
+  remarkAdmonitionsToCallouts,
+  resolveCalloutThemes,
+} from './transform/callouts.mjs';
+import { remarkHtmlToMarkdown, resolveHtmlPolicy } from './transform/htmlToMd.mjs';
 
 import {
   remarkCollectMarkdownImages,
-  remarkReplaceImageZoom,
-  mdFixBangAndHtmlComments,
   remarkStripScriptsAndHandlers,
-  remarkConvertSelectedHtmlToMd,
 } from './transform/mdastPlugins.mjs';
 
 import { writeLogHeader, appendToLog } from './utils/logging.mjs';
+import { readDocusaurusVersions, versionRoute, versionLinkBase } from './versions.mjs';
+
+import { buildImageIndex, resolveLocalImageSmart } from './images/indexer.mjs';
+import { uploadImagesForDocSmart, loadUploadCache, saveUploadCache } from './images/uploader.mjs';
 
-import { buildImageIndex } from './images/indexer.mjs';
+import { readMoveMapCsv, addMoveRules } from './moveMap.mjs';
+import { buildReadmeFM, DEFAULT_FRONTMATTER_MAP } from './utils/frontmatter.mjs';
+import { toOrderSlug, toPosition } from './utils/ordering.mjs';
+import { buildSidebarPlacement } from './sidebars.mjs';
+import { readSourceDocs } from './sourceDocs.mjs';
+import { createSourceFilter } from './utils/globs.mjs';
+import { getSourceAdapter } from './adapters/index.mjs';
+
+import { createDryRunPlan, printDryRunPlan } from './utils/dryRun.mjs';
+import { forEachInOrder } from './utils/pool.mjs';
+import { createDocLinkResolver, remarkRewriteDocLinks } from './transform/links.mjs';
+import { validateMdx, formatMdxIssue } from './validateMdx.mjs';
+import { resolveOutputConflicts, describeConflict } from './utils/conflicts.mjs';
+import {
+  MANIFEST_FILE,
+  TRANSFORM_VERSION,
+  loadManifest,
+  saveManifest,
+  hashContent,
+  hashFileIfExists,
+  fingerprintSettings,
+  staleReason,
+} from './utils/manifest.mjs';
 
-import { readMoveMapCsv } from './moveMap.mjs';
+/** Persistent image upload cache, stored under the destination root. */
+const UPLOAD_CACHE_FILE = '_image-upload-cache.json';
 
 /* ========================================================================== */
 /*                              PUBLIC ENTRYPOINT                              */
@@ -47,65 +81,305 @@ import { readMoveMapCsv } from './moveMap.mjs';
  * @param {string} options.cwd
  * @param {string} options.srcRoot
  * @param {string} options.destRoot
+ * @param {string} [options.sourceFormat='docusaurus'] - Source framework (see adapters/index.mjs)
  * @param {boolean} [options.includeMdx=false]
+ * @param {string[]} [options.include=[]] - Only migrate source files matching one of these globs
+ * @param {string[]} [options.exclude=[]] - Skip source files matching these globs (see utils/globs.mjs)
+ * @param {boolean} [options.skipDrafts=false] - Skip docs whose frontmatter has `draft: true`
  * @param {string|null} [options.copyRoot=null]
  * @param {string|null} [options.imagesSrc=null]
  * @param {boolean} [options.uploadImages=false]
  * @param {string|null} [options.readmeApiKey=null]
+ * @param {boolean} [options.refreshImages=false] - Re-upload images even if the upload cache has them
+ * @param {string|null} [options.readmeApiBaseUrl=null] - ReadMe API origin (e.g. a local stub server)
+ * @param {number|null} [options.uploadRetries=null] - Retries per image upload (429/5xx/timeouts)
+ * @param {number|null} [options.uploadTimeoutMs=null] - Per-request upload timeout
+ * @param {number|null} [options.uploadConcurrency=null] - Max image uploads in flight
  * @param {string|null} [options.moveMapCsv=null] - CSV: file,destination (destination is a directory path)
+ * @param {Object<string, string>|null} [options.moveRules=null] - filename → destination directory,
+ *   applied over the move-map CSV
+ * @param {string|null} [options.sidebarsFile=null] - Navigation file driving output folders and order
+ *   (Docusaurus sidebars.js/ts, mkdocs.yml, SUMMARY.md, mint.json)
+ * @param {string|null} [options.sidebarName=null] - Only use this sidebar from the sidebars file
+ * @param {'doc'|'path'} [options.linkStyle='doc'] - Rewritten doc links: `doc:slug` or `<linkBasePath>/slug`
+ * @param {string} [options.linkBasePath='/docs'] - Prefix for `linkStyle: 'path'`
+ * @param {boolean} [options.createOrderYaml=false] - Create `_order.yaml` in folders that don't have one
+ * @param {Object|null} [options.frontmatterMap=null] - Customer → ReadMe frontmatter mapping (see utils/frontmatter.mjs)
+ * @param {boolean} [options.dryRun=false] - Run every transform in memory and print a plan instead of writing
+ * @param {boolean} [options.force=false] - Reconvert every file, ignoring the migration manifest
+ * @param {boolean} [options.removeDeleted=false] - Delete outputs whose source is gone (unless edited)
+ * @param {number} [options.concurrency=4] - Source files converted at once
+ * @param {boolean} [options.strictMdx=false] - Don't write outputs that fail MDX validation
+ * @param {boolean} [options.compileMdx=false] - Also compile every output with `@mdx-js/mdx`
+ * @param {string[]} [options.mdxComponents=[]] - JSX components to accept besides ReadMe's own
+ * @param {string[]} [options.removeComponents=[]] - JSX components to drop from the output
+ * @param {Object|null} [options.calloutThemes=null] - Admonition type → `{icon, theme, title}`
+ *   overrides (see transform/callouts.mjs)
+ * @param {Object|null} [options.htmlPolicy=null] - HTML tag → `convert`, `keep`, `unwrap` or
+ *   `remove` overrides (see transform/htmlToMd.mjs)
+ * @param {'skip'|'overwrite'|'suffix'|'fail'} [options.onConflict='skip'] - When two sources share an
+ *   output, or the output exists but was not written by this tool
+ * @param {boolean} [options.versions=false] - `srcRoot` is a versioned Docusaurus site: migrate
+ *   each version into `<destRoot>/<version>` (see `runVersionedPipeline`)
+ * @param {string|null} [options.currentVersion=null] - With `versions`, ReadMe version for `docs/`
+ *   (default: `current`)
+ * @param {import('./versions.mjs').DocsVersion|null} [options.docsVersion=null] - Set by versioned
+ *   runs: the version being migrated
+ * @param {import('./transform/links.mjs').LinkedVersion[]} [options.linkedVersions=[]] - Set by
+ *   versioned runs: the other versions, for links into them
+ * @param {string[]} [options.locales=[]] - `srcRoot` is a Docusaurus site: migrate `docs/` into
+ *   `<destRoot>/<defaultLocale>` and these translations into `<destRoot>/<locale>` (see
+ *   `runLocalizedPipeline`)
+ * @param {string} [options.defaultLocale='en'] - With `locales`, the language of `docs/`
+ * @param {TranslationRun|null} [options.translation=null] - Set by locale runs: where each
+ *   default-locale page went
  */
 export async function runPipeline(options) {
+  if (options.versions) return runVersionedPipeline(options);
+  if (options.locales?.length) return runLocalizedPipeline(options);
+
   const {
     cwd,
     srcRoot,
     destRoot,
+    sourceFormat = 'docusaurus',
     includeMdx = false,
+    include = [],
+    exclude = [],
+    skipDrafts = false,
     copyRoot = null,
     imagesSrc = null,
     uploadImages = false,
     readmeApiKey = null,
+    refreshImages = false,
+    readmeApiBaseUrl = null,
+    uploadRetries = null,
+    uploadTimeoutMs = null,
+    uploadConcurrency = null,
     moveMapCsv = null,
+    moveRules = null,
+    frontmatterMap = null,
+    createOrderYaml = false,
+    sidebarsFile = null,
+    sidebarName = null,
+    linkStyle = 'doc',
+    linkBasePath = '/docs',
+    dryRun = false,
+    force = false,
+    removeDeleted = false,
+    onConflict = 'skip',
+    concurrency = 4,
+    strictMdx = false,
+    compileMdx = false,
+    mdxComponents = [],
+    removeComponents = [],
+    calloutThemes = null,
+    htmlPolicy = null,
+    docsVersion = null,
+    linkedVersions = [],
+    translation = null,
   } = options;
 
-  await fs.mkdir(destRoot, { recursive: true });
-  if (copyRoot) await fs.mkdir(copyRoot, { recursive: true });
+  const adapter = getSourceAdapter(sourceFormat);
+  const callouts = resolveCalloutThemes(calloutThemes);
+  const htmlActions = resolveHtmlPolicy(htmlPolicy);
+
+  // In a dry run every write goes through the plan instead of the filesystem.
+  const plan = dryRun ? createDryRunPlan() : null;
+  const writeLog = dryRun ? plan.appendToLog : appendToLog;
+
+  if (!dryRun) {
+    await fs.mkdir(destRoot, { recursive: true });
+    if (copyRoot) await fs.mkdir(copyRoot, { recursive: true });
+  }
 
   const logPath = path.join(destRoot, '_log.csv');
-  await writeLogHeader(logPath);
   const imagesMapPath = path.join(destRoot, 'images-map.csv');
-  await ensureImagesMapHeader(imagesMapPath);
+  if (!dryRun) {
+    await writeLogHeader(logPath);
+    await writeImagesMapHeader(imagesMapPath);
+  }
 
   const report = {
     startedAt: new Date().toISOString(),
     cwd,
     srcRoot,
     destRoot,
+    sourceFormat: adapter.name,
     copyRoot,
     imagesSrc,
     uploadImages,
+    refreshImages,
     moveMapCsv,
+    sidebarsFile,
+    dryRun,
+    force,
     files: [],
+    skipped: [],
+    unchanged: 0,
+    orphanedOutputs: [],
   };
 
   // Read move-map once (no slugify; literal folder names)
-  let moveMap = null;
-  let moveDupes = null;
-  if (moveMapCsv) {
-    const { map, dupes } = await readMoveMapCsv(moveMapCsv, destRoot);
-    moveMap = map;
-    moveDupes = dupes;
+  const { map: moveMap, dupes: moveDupes } = await loadMoveMap(moveMapCsv, moveRules, destRoot);
+  if (moveMap) {
     console.log(
-      pc.gray(`Move-map loaded: ${map.size} entries, ${dupes.size} duplicate filename(s).`),
+      pc.gray(`Move-map loaded: ${moveMap.size} entries, ${moveDupes.size} duplicate filename(s).`),
     );
   }
 
-  const discovered = await findMarkdownFilesRecursive(srcRoot, { includeMdx });
+  if (!docsVersion && adapter.name === 'docusaurus') {
+    for (const dir of [srcRoot, path.dirname(srcRoot)]) {
+      if (!(await fs.stat(path.join(dir, 'versions.json')).catch(() => null))) continue;
+      console.log(
+        pc.yellow(
+          `Warning: ${path.join(dir, 'versions.json')} found; pass --versions (with --src at ` +
+            'the site folder) to migrate each version to its own ReadMe version.',
+        ),
+      );
+      break;
+    }
+    if (await fs.stat(path.join(srcRoot, 'i18n')).catch(() => null)) {
+      console.log(
+        pc.yellow(
+          `Warning: ${path.join(srcRoot, 'i18n')} found; pass --locales to migrate translations ` +
+            'into their own output folders rather than as pages.',
+        ),
+      );
+    }
+  }
+
+  const discovery = await discoverSourceDocs(srcRoot, {
+    adapter,
+    includeMdx,
+    include,
+    exclude,
+    skipDrafts,
+  });
+  report.skipped.push(...discovery.skipped);
+  let { sourceDocs } = discovery;
+  for (const { source, reason } of report.skipped) {
+    await writeLog(logPath, 'SKIPPED_SOURCE', source, `Not migrated: ${reason}`, [], []);
+  }
+
+  // A translation is paired with the default-locale page at the same path and written where
+  // that page went; pages on one side only are reported
+  if (translation) {
+    const { locale, defaultLocale, outputs } = translation;
+    const found = new Set([
+      ...sourceDocs.map((doc) => doc.relPath),
+      ...report.skipped.map((entry) => entry.source),
+    ]);
+    report.untranslated = [...outputs.keys()].filter((relPath) => !found.has(relPath));
+    report.orphanedTranslations = sourceDocs
+      .filter((doc) => !outputs.has(doc.relPath))
+      .map((doc) => doc.relPath);
+    sourceDocs = sourceDocs.filter((doc) => outputs.has(doc.relPath));
+    for (const relPath of report.untranslated) {
+      await writeLog(
+        logPath,
+        'UNTRANSLATED',
+        relPath,
+        `No ${locale} translation; ${outputs.get(relPath)} is missing from this locale.`,
+        [],
+        [],
+      );
+    }
+    for (const relPath of report.orphanedTranslations) {
+      await writeLog(
+        logPath,
+        'ORPHANED_TRANSLATION',
+        relPath,
+        `No migrated ${defaultLocale} page at this path; not migrated.`,
+        [],
+        [],
+      );
+    }
+  }
+  const discovered = sourceDocs.map((doc) => doc.absolutePath);
+  if (report.skipped.length) {
+    console.log(pc.gray(`Skipped ${report.skipped.length} file(s); see "skipped" in the report.`));
+  }
   if (!discovered.length) {
     console.log(pc.yellow('No Markdown files found.'));
     return report;
   }
   console.log(pc.gray(`Found ${discovered.length} file(s).`));
 
+  // Navigation order hints for _order.yaml: absolute dest folder → slug → position.
+  // A sidebars file wins; then `_category_` positions (mirrored folders) and `sidebar_position`.
+  const orderPositions = new Map();
+  const recordPosition = (destDir, slug, position) => {
+    if (position == null) return;
+    if (!orderPositions.has(destDir)) orderPositions.set(destDir, new Map());
+    if (!orderPositions.get(destDir).has(slug)) orderPositions.get(destDir).set(slug, position);
+  };
+  const categories = adapter.readCategories ? await adapter.readCategories(srcRoot) : new Map();
+
+  // Sidebars: per-doc destination folder, category index.md titles, and order
+  let sidebarPlacement = null;
+  const indexTitles = new Map(); // absolute dest folder → title for generated index.md
+  if (sidebarsFile && !adapter.loadNavigation) {
+    console.log(pc.yellow(`Warning: no navigation import for ${adapter.label}; --nav ignored.`));
+  } else if (sidebarsFile) {
+    const sidebarsRel = path.relative(cwd || process.cwd(), sidebarsFile);
+    const { config, warnings: sidebarWarnings } = await adapter.loadNavigation(sidebarsFile);
+    sidebarPlacement = buildSidebarPlacement(config, {
+      docs: sourceDocs,
+      categories,
+      sidebar: sidebarName || undefined,
+      fileNames: slugFileNames(sourceDocs, frontmatterMap),
+    });
+    for (const warning of sidebarWarnings) {
+      await writeLog(logPath, 'SIDEBAR_WARNING', sidebarsRel, warning, [], []);
+    }
+    for (const id of sidebarPlacement.unresolved) {
+      await writeLog(
+        logPath,
+        'SIDEBAR_DOC_NOT_FOUND',
+        sidebarsRel,
+        `No source doc for "${id}"`,
+        [],
+        [],
+      );
+    }
+    for (const id of sidebarPlacement.duplicates) {
+      await writeLog(
+        logPath,
+        'SIDEBAR_DUPLICATE',
+        sidebarsRel,
+        `"${id}" listed more than once; first placement kept`,
+        [],
+        [],
+      );
+    }
+    for (const [dir, slugs] of sidebarPlacement.positions) {
+      for (const [slug, position] of slugs)
+        recordPosition(path.join(destRoot, dir), slug, position);
+    }
+    for (const [dir, title] of sidebarPlacement.indexTitles) {
+      indexTitles.set(path.join(destRoot, dir), title);
+    }
+    console.log(
+      pc.gray(
+        `Sidebars loaded: ${sidebarPlacement.byDoc.size} doc(s) placed, ` +
+          `${sidebarPlacement.unresolved.length} unresolved id(s).`,
+      ),
+    );
+  }
+
+  if (!options.flatOutput) {
+    for (const [relDir, category] of categories) {
+      if (!relDir) continue;
+      const destDir = path.join(destRoot, relDir);
+      recordPosition(
+        path.dirname(destDir),
+        toOrderSlug(path.basename(destDir), false),
+        category.position,
+      );
+    }
+  }
+
   let imageIndex = null;
   if (imagesSrc) {
     imageIndex = await buildImageIndex(imagesSrc);
@@ -118,31 +392,218 @@ export async function runPipeline(options) {
     );
   }
 
+  // Uploads need both a local index to resolve against and credentials (and never run dry).
+  const canUpload = uploadImages && !!imageIndex && !!readmeApiKey && !dryRun;
+  if (uploadImages && !readmeApiKey) {
+    console.log(
+      pc.yellow(
+        'Warning: --upload-images enabled but no README API key; images stay placeholders.',
+      ),
+    );
+  }
+  const uploadSettings = pickDefined({
+    apiBaseUrl: readmeApiBaseUrl,
+    retries: uploadRetries,
+    timeoutMs: uploadTimeoutMs,
+    concurrency: uploadConcurrency,
+  });
+  if (canUpload) {
+    const cached = await loadUploadCache(path.join(destRoot, UPLOAD_CACHE_FILE));
+    console.log(
+      pc.gray(
+        refreshImages
+          ? `Upload cache ignored (--refresh-images); ${cached} entr(ies) will be replaced.`
+          : `Upload cache loaded: ${cached} image(s) already hosted.`,
+      ),
+    );
+  }
+
+  // Pre-pass: decide every doc's destination before converting any of them, so
+  // cross-doc rewrites (links) can point at final locations.
+  const destinations = new Map();
+  for (const doc of sourceDocs) {
+    destinations.set(
+      doc.absolutePath,
+      await resolveDestination(doc.relPath, {
+        destRoot,
+        flatOutput: !!options.flatOutput,
+        sidebarPlacement,
+        moveMap,
+        moveDupes,
+        pairedOutput: translation?.outputs.get(doc.relPath) ?? null,
+        fileName: slugFileName(doc, frontmatterMap),
+      }),
+    );
+  }
+
+  // Incremental runs: the manifest remembers what each source produced last time
+  const manifest = await loadManifest(destRoot);
+  const nextManifest = { files: {} };
+
+  // Collisions (two sources → one output, or a file we did not write) are settled before
+  // any write, and before slugs are derived, since `suffix` renames outputs.
+  report.conflicts = await resolveOutputConflicts(sourceDocs, destinations, {
+    destRoot,
+    manifest,
+    policy: onConflict,
+  });
+  for (const conflict of report.conflicts) {
+    const source = conflict.sources[conflict.sources.length - 1];
+    await writeLog(logPath, 'OUTPUT_CONFLICT', source, describeConflict(conflict), [], []);
+    console.log(pc.yellow('Conflict:'), describeConflict(conflict));
+  }
+  if (onConflict === 'fail' && report.conflicts.length && !dryRun) {
+    console.log(
+      pc.red(
+        `\nAborted: ${report.conflicts.length} output conflict(s) with --on-conflict fail. ` +
+          'No docs were written; see _log.csv.',
+      ),
+    );
+    report.aborted = true;
+    report.completedAt = new Date().toISOString();
+    return report;
+  }
+
+  // Internal links point at the ReadMe slug of each doc's final output
+  const outputSlugs = new Map();
+  for (const doc of sourceDocs) {
+    const { finalAbsolute } = destinations.get(doc.absolutePath);
+    outputSlugs.set(doc.relPath, docSlugFor(doc, finalAbsolute, frontmatterMap));
+  }
+  const resolveDocLink = createDocLinkResolver({
+    docs: sourceDocs,
+    slugs: outputSlugs,
+    linkStyle,
+    linkBasePath,
+    routeBasePaths: docsVersion ? [versionRoute(docsVersion)] : undefined,
+    srcRoot,
+    versions: linkedVersions,
+  });
+
+  const settingsFingerprint = fingerprintSettings({
+    sourceFormat: adapter.name,
+    linkStyle,
+    linkBasePath,
+    frontmatterMap: frontmatterMap || DEFAULT_FRONTMATTER_MAP,
+    imagesSrc: imagesSrc && path.relative(srcRoot, imagesSrc).replace(/\\/g, '/'),
+    uploads: canUpload,
+    mdxValidation: { compile: compileMdx, components: [...mdxComponents].sort() },
+    removeComponents: [...removeComponents].sort(),
+    callouts,
+    htmlActions,
+  });
+  // Where a doc link points now (null when broken); compared with what the manifest recorded
+  const linkTarget = (href, fromRelPath) => {
+    const result = resolveDocLink(href, fromRelPath);
+    return result.status === 'rewritten' ? result.href : null;
+  };
+  // Manifest and report paths are relative, so a moved site keeps its incremental state
+  const fromSrcRoot = (file) => path.relative(srcRoot, file).replace(/\\/g, '/');
+
   let failures = 0;
 
-  for (const absoluteSourcePath of discovered) {
-    const relativeFromSrc = path.relative(srcRoot, absoluteSourcePath);
+  // Files are converted concurrently. Anything order-sensitive (log and images-map rows,
+  // report entries, console output, the dry-run plan) is deferred and applied per file in
+  // discovery order, so logs never interleave and stay identical from run to run.
+  const convertFile = async (absoluteSourcePath) => {
+    const deferred = [];
+    const defer = (apply) => deferred.push(apply);
+    const deferLog = async (...row) => defer(() => writeLog(...row));
 
-    // Default output behavior for *unmapped* files:
-    // - If flatOutput = true  → put just the file in destRoot (flat)
-    // - If flatOutput = false → mirror source subfolders under destRoot (mirrored)
-    const defaultRelative = (
-      options.flatOutput ? path.basename(relativeFromSrc) : relativeFromSrc
-    ).replace(/\.(md|mdx)$/i, '.md');
-    const defaultDestAbs = path.join(destRoot, defaultRelative);
+    const relativeFromSrc = path.relative(srcRoot, absoluteSourcePath);
+    const manifestKey = relativeFromSrc.replace(/\\/g, '/');
+    const previous = manifest.files[manifestKey];
+    const destination = destinations.get(absoluteSourcePath);
+    const { finalAbsolute, usedMapping, sidebarEntry } = destination;
 
     const mirrorDestAbs = copyRoot
       ? path.join(copyRoot, relativeFromSrc.replace(/\.(md|mdx)$/i, '.md'))
       : null;
+    const mirrorRel = copyRoot ? path.relative(copyRoot, mirrorDestAbs).replace(/\\/g, '/') : null;
+
+    // Everything logged for this file is kept in the manifest and replayed while it is unchanged
+    const fileLogRows = [];
+    const logForFile = async (logFile, type, file, message, removed = [], images = []) => {
+      fileLogRows.push([type, message, removed, images]);
+      return deferLog(logFile, type, file, message, removed, images);
+    };
 
     try {
+      if (destination.conflict) {
+        // Conflict policy `skip` (or `fail` in a dry run): leave the contested output alone
+        if (previous) nextManifest.files[manifestKey] = previous;
+        defer(() => {
+          if (dryRun) {
+            plan.skipFile(absoluteSourcePath, `output conflict: ${destination.conflict.output}`);
+          }
+          console.log(pc.yellow('Skipped (conflict):'), relativeFromSrc);
+        });
+        return deferred;
+      }
+
       const rawText = await fs.readFile(absoluteSourcePath, 'utf8');
+      const sourceHash = hashContent(rawText);
+      const outputRel = path.relative(destRoot, finalAbsolute);
+
+      const currentPartialHashes = {};
+      for (const file of Object.keys(previous?.partials || {})) {
+        currentPartialHashes[file] = await hashFileIfExists(path.resolve(srcRoot, file));
+      }
+      const reason = force
+        ? 'forced'
+        : staleReason(previous, {
+            hash: sourceHash,
+            settings: settingsFingerprint,
+            output: outputRel,
+            copiedTo: mirrorRel,
+            outputHash: await hashFileIfExists(finalAbsolute),
+            resolveLink: (href) => linkTarget(href, manifestKey),
+            partialHashes: currentPartialHashes,
+          });
+      if (!reason && !(refreshImages && previous.report?.images?.length)) {
+        for (const [type, message, removed, images] of previous.logRows || []) {
+          await deferLog(logPath, type, relativeFromSrc, message, removed, images);
+        }
+        nextManifest.files[manifestKey] = previous;
+        defer(async () => {
+          const previousImages = previous.report?.images || [];
+          if (previousImages.length && !dryRun) {
+            await appendImagesMapRows(imagesMapPath, relativeFromSrc, previousImages, imageIndex, {
+              hostedImages: new Map(
+                (previous.report.uploadedImages || []).map((u) => [
+                  u.original,
+                  { ...u, local: path.resolve(imagesSrc, u.local), cached: true },
+                ]),
+              ),
+              uploadAttempted: !!previous.uploadAttempted,
+            });
+          }
+          if (dryRun) plan.keepFile(finalAbsolute, 'source unchanged');
+          recordPosition(
+            path.dirname(finalAbsolute),
+            toOrderSlug(path.basename(finalAbsolute), true),
+            previous.position ?? null,
+          );
+          report.files.push({ ...previous.report, unchanged: true });
+          report.unchanged++;
+          console.log(pc.gray('Unchanged:'), relativeFromSrc, '→', outputRel);
+        });
+        return deferred;
+      }
 
-      // Pre-pass: :::note/tip/info → <Callout>
-      const preprocessedText = convertNoteTipBlocks(rawText);
+      if (sidebarPlacement && !sidebarEntry) {
+        await logForFile(
+          logPath,
+          'SIDEBAR_UNLISTED',
+          relativeFromSrc,
+          'Not referenced by the sidebars file; kept at its default location.',
+          [],
+          [],
+        );
+      }
 
       // Frontmatter
-      const fm = matter(preprocessedText);
+      const fm = matter(rawText);
       const customerFM = fm.data ?? {};
       const bodyContent = fm.content ?? '';
 
@@ -152,37 +613,106 @@ export async function runPipeline(options) {
         bodyContent.match(/^\s*#\s+(.+?)\s*$/m)?.[1]?.trim() ||
         'Untitled';
 
-      const readmeFrontmatter = buildReadmeFrontmatter(derivedTitle);
+      const { frontmatter: readmeFrontmatter, unmappedKeys } = buildReadmeFM(
+        customerFM,
+        derivedTitle,
+        frontmatterMap || DEFAULT_FRONTMATTER_MAP,
+      );
       const readmeYaml = yaml.dump(readmeFrontmatter, { lineWidth: 0 });
+      if (unmappedKeys.length) {
+        await logForFile(
+          logPath,
+          'UNMAPPED_FRONTMATTER',
+          relativeFromSrc,
+          `Frontmatter key(s) not carried over: ${unmappedKeys.join(', ')}`,
+          [],
+          [],
+        );
+      }
 
       const warnings = [];
       const removedJsSnippets = [];
       const strippedHtmlSnippets = [];
-      const referencedImagePaths = collectInlineImageUrlsFromText(bodyContent);
+      // Framework syntax → the shared forms, then partials (`import Snippet from
+      // './_snippet.mdx'`) are inlined, HTML tables converted and HTML comments turned into
+      // MDX ones; `:::tip My Title` → `:::tip[My Title]` so the title survives directive
+      // parsing. Lines in `preprocessRows` count in the body as written, lines found by the
+      // parser below in `sourceText`.
+      const preprocessRows = [];
+      const preprocess = (text, rows) =>
+        adapter.preprocess ? adapter.preprocess(text, { unsupported: rows }) : text;
+      const inlined = await inlinePartials(preprocess(bodyContent, preprocessRows), {
+        filePath: absoluteSourcePath,
+        srcRoot,
+        cwd,
+        prepare: (partialBody, partialRel) => {
+          const rows = [];
+          const text = preprocess(partialBody, rows);
+          for (const { reason } of rows) {
+            preprocessRows.push({ line: null, reason: `In partial ${partialRel}: ${reason}` });
+          }
+          return text;
+        },
+      });
+      const tables = convertHtmlTables(inlined.text);
+      const sourceText = normalizeAdmonitionTitles(convertHtmlComments(tables.text));
+      const unsupportedSyntax = [];
+      const referencedImagePaths = collectInlineImageUrlsFromText(
+        sourceText,
+        adapter.imagePatterns,
+      );
       const removedMdxComponents = [];
+      const deniedComponents = [];
+      const brokenLinks = [];
+      const rewrittenLinks = [];
+      const crossVersionLinks = [];
+      const unknownAdmonitions = [];
+      const unconvertedTabs = [];
+      const unsupportedCode = [];
+      const docLinks = {};
 
       const processed = await unified()
         .use(remarkParse)
         .use(remarkGfm)
         .use(remarkMdx)
         .use(remarkFrontmatter, ['yaml'])
-
-        .use(remarkReplaceImageZoom, { imageUrls: referencedImagePaths })
+        .use(remarkDirectiveSyntax)
+        .use(
+          adapter.remarkPlugins?.({
+            images: referencedImagePaths,
+            unsupported: unsupportedSyntax,
+            codeBlocks: unsupportedCode,
+          }) || [],
+        )
         .use(remarkCollectMarkdownImages, { images: referencedImagePaths })
+        .use(remarkRemoveMdxComponents, { names: removeComponents, removed: deniedComponents })
         .use(remarkCollectMdxComponentsComponentLike, {
           removed: removedMdxComponents,
         })
-        .use(mdFixBangAndHtmlComments)
+        .use(remarkAdmonitionsToCallouts, { unknown: unknownAdmonitions, callouts })
+        .use(remarkDocusaurusTabs, { unconverted: unconvertedTabs })
+        .use(remarkCodeFences, { unsupported: unsupportedCode })
+        .use(remarkRewriteDocLinks, {
+          resolve: (href, fromRelPath) => {
+            const result = resolveDocLink(href, fromRelPath);
+            if (result.status !== 'skip') {
+              docLinks[href] = result.status === 'rewritten' ? result.href : null;
+            }
+            if (result.version) crossVersionLinks.push(`${href} → ${result.href}`);
+            return result;
+          },
+          fromRelPath: relativeFromSrc.replace(/\\/g, '/'),
+          broken: brokenLinks,
+          rewritten: rewrittenLinks,
+        })
         .use(remarkStripScriptsAndHandlers, {
           jsRemoved: removedJsSnippets,
           warnings,
         })
-        .use(remarkConvertSelectedHtmlToMd, {
-          keepHtmlIf: (rawHtml) =>
-            /<\s*(table|thead|tbody|tr|th|td)\b/i.test(rawHtml) ||
-            /<\s*(Tabs|Tab|Callout)\b/.test(rawHtml) ||
-            /<\s*[A-Z][A-Za-z0-9]*/.test(rawHtml),
+        .use(remarkHtmlToMarkdown, {
+          policy: htmlActions,
           recordRaw: (raw) => strippedHtmlSnippets.push(raw.trim()),
+          images: referencedImagePaths,
         })
         .use(remarkStringify, {
           bullet: '-',
@@ -190,29 +720,42 @@ export async function runPipeline(options) {
           listItemIndent: 'one',
           rule: '-',
         })
-        .process(bodyContent);
+        .process(sourceText);
 
       let markdownBody = String(processed);
 
-      // Tabs post-process
-      markdownBody = transformDocusaurusTabsToTarget(markdownBody);
-
       // Strip top-of-body imports
       {
         const importRegex = /^(?:\s*import\s.+\n)+/;
         const m = (markdownBody.match(importRegex) || [''])[0];
         markdownBody = markdownBody.replace(importRegex, '');
         if (m && m.trim()) {
-          await appendToLog(logPath, 'REMOVED_IMPORTS', relativeFromSrc, '', [m.trim()], []);
+          await logForFile(logPath, 'REMOVED_IMPORTS', relativeFromSrc, '', [m.trim()], []);
         }
       }
 
-      // ---- Replace ALL image mentions with placeholders (manual wiring later) ----
-      markdownBody = replaceAllImagesWithPlaceholder(markdownBody);
+      // ---- Upload images (optional), then rewrite every image mention ----
+      const uniqueImages = Array.from(new Set(referencedImagePaths)).filter(Boolean);
+      let hostedImages = new Map();
+      if (canUpload && uniqueImages.length) {
+        hostedImages = await uploadImagesForDocSmart(uniqueImages, imageIndex, readmeApiKey, {
+          appendToLog: logForFile,
+          logPath,
+          relFile: relativeFromSrc,
+          refresh: refreshImages,
+          upload: uploadSettings,
+        });
+      }
+      // Hosted images point at their ReadMe URL; everything else becomes a placeholder.
+      markdownBody = replaceAllImagesWithPlaceholder(
+        markdownBody,
+        hostedImages,
+        adapter.imagePatterns,
+      );
 
       // Log collected info
       if (strippedHtmlSnippets.length) {
-        await appendToLog(
+        await logForFile(
           logPath,
           'STRIPPED_HTML',
           relativeFromSrc,
@@ -222,71 +765,149 @@ export async function runPipeline(options) {
         );
       }
       if (removedJsSnippets.length) {
-        await appendToLog(logPath, 'REMOVED_JS', relativeFromSrc, '', removedJsSnippets, []);
+        await logForFile(logPath, 'REMOVED_JS', relativeFromSrc, '', removedJsSnippets, []);
       }
       if (removedMdxComponents.length) {
-        await appendToLog(logPath, 'REMOVED_MDX', relativeFromSrc, '', removedMdxComponents, []);
+        await logForFile(logPath, 'REMOVED_MDX', relativeFromSrc, '', removedMdxComponents, []);
       }
-      const uniqueImages = Array.from(new Set(referencedImagePaths)).filter(Boolean);
-      if (uniqueImages.length) {
-        await appendToLog(logPath, 'IMAGES', relativeFromSrc, '', [], uniqueImages);
-        await appendImagesMapRows(imagesMapPath, relativeFromSrc, uniqueImages, imageIndex);
+      if (deniedComponents.length) {
+        await logForFile(
+          logPath,
+          'REMOVED_COMPONENT',
+          relativeFromSrc,
+          `Removed (removeComponents): ${[...new Set(deniedComponents)].join(', ')}`,
+          [],
+          [],
+        );
       }
-
-      const finalDoc = `---\n${readmeYaml}---\n\n${markdownBody}`.trim() + '\n';
-
-      // ===================== MAPPING LOGIC (NO NEW FOLDERS) =====================
-      const outFileName = path.basename(defaultDestAbs);
-      const moveKey = outFileName.toLowerCase();
-
-      let finalAbsolute = defaultDestAbs;
-      let usedMapping = false;
-
-      if (moveMap && moveMap.has(moveKey) && !(moveDupes && moveDupes.has(moveKey))) {
-        const mappedDir = moveMap.get(moveKey); // absolute string or null
-        if (typeof mappedDir === 'string' && mappedDir.trim()) {
-          // Only use mapping if the directory ALREADY exists and is a directory.
-          try {
-            const st = await fs.stat(mappedDir);
-            if (st.isDirectory()) {
-              finalAbsolute = path.join(mappedDir, outFileName);
-              usedMapping = true;
-            } else {
-              await appendToLog(
-                logPath,
-                'MOVE_DEST_NOT_DIR',
-                relativeFromSrc,
-                `Mapped destination exists but is not a directory: ${mappedDir}`,
-                [],
-                [],
-              );
-            }
-          } catch {
-            // Directory does not exist; do NOT create it. Keep default location.
-            await appendToLog(
-              logPath,
-              'MOVE_DEST_MISSING',
-              relativeFromSrc,
-              `Mapped destination directory not found: ${mappedDir}`,
-              [],
-              [],
-            );
-          }
-        }
-      } else if (moveMap && moveDupes && moveDupes.has(moveKey)) {
-        await appendToLog(
+      for (const href of new Set(brokenLinks)) {
+        await logForFile(
+          logPath,
+          'BROKEN_LINK',
+          relativeFromSrc,
+          `Link target not found among migrated docs: ${href}`,
+          [],
+          [],
+        );
+      }
+      for (const admonition of new Set(unknownAdmonitions)) {
+        await logForFile(
+          logPath,
+          'UNKNOWN_ADMONITION',
+          relativeFromSrc,
+          `Unknown admonition type ${admonition}; converted to a default Callout.`,
+          [],
+          [],
+        );
+      }
+      // Report source lines: the parser only saw the body, after the frontmatter, with
+      // partials inlined (their lines report the line of the component they replaced)
+      const bodyLine = rawText.slice(0, rawText.length - bodyContent.length).split('\n').length - 1;
+      const atLine = (line) => (line != null ? `Line ${line + bodyLine}: ` : '');
+      const inBody = (rows) =>
+        rows.map((row) => ({ ...row, line: inlined.lineOf(tables.lineOf(row.line)) }));
+      for (const { line, reason } of inlined.unresolved) {
+        await logForFile(
+          logPath,
+          'UNRESOLVED_IMPORT',
+          relativeFromSrc,
+          `${atLine(line)}${reason}.`,
+          [],
+          [],
+        );
+      }
+      for (const { line, reason } of tables.unconverted) {
+        await logForFile(
+          logPath,
+          'TABLE_NOT_CONVERTED',
+          relativeFromSrc,
+          `${atLine(inlined.lineOf(line))}${reason}; left as written.`,
+          [],
+          [],
+        );
+      }
+      for (const { line, reason } of inBody(unconvertedTabs)) {
+        await logForFile(
+          logPath,
+          'TABS_NOT_CONVERTED',
+          relativeFromSrc,
+          `${atLine(line)}${reason}; left as written.`,
+          [],
+          [],
+        );
+      }
+      for (const { line, reason } of [...preprocessRows, ...inBody(unsupportedSyntax)]) {
+        await logForFile(
           logPath,
-          'MOVE_DUPLICATE',
+          'UNSUPPORTED_SYNTAX',
           relativeFromSrc,
-          `Multiple destinations for ${outFileName}; not moved.`,
+          `${atLine(line)}${reason}.`,
           [],
           [],
         );
       }
-      // ========================================================================
+      for (const { line, reason } of inBody(unsupportedCode)) {
+        await logForFile(
+          logPath,
+          'UNSUPPORTED_CODE_BLOCK',
+          relativeFromSrc,
+          `${atLine(line)}${reason}.`,
+          [],
+          [],
+        );
+      }
+      if (uniqueImages.length) {
+        await logForFile(logPath, 'IMAGES', relativeFromSrc, '', [], uniqueImages);
+        if (dryRun) {
+          if (uploadImages && imageIndex) {
+            plan.pendingUploads += uniqueImages.filter(
+              (p) => tryResolveLocal(imageIndex, p).localAbs,
+            ).length;
+          }
+        } else {
+          defer(() =>
+            appendImagesMapRows(imagesMapPath, relativeFromSrc, uniqueImages, imageIndex, {
+              hostedImages,
+              uploadAttempted: canUpload,
+            }),
+          );
+        }
+      }
+
+      const finalDoc = `---\n${readmeYaml}---\n\n${markdownBody}`.trim() + '\n';
+
+      // Move-map problems found while resolving the destination (file stays at default)
+      for (const issue of destination.issues) {
+        await logForFile(logPath, issue.type, relativeFromSrc, issue.message, [], []);
+      }
+
+      // Re-parse exactly what gets written: ReadMe rejects docs that aren't valid MDX
+      const mdx = await validateMdx(finalDoc, { compile: compileMdx, components: mdxComponents });
+      for (const issue of mdx.issues) {
+        await logForFile(logPath, issue.type, relativeFromSrc, formatMdxIssue(issue), [], []);
+      }
+      if (!mdx.valid && strictMdx) {
+        if (previous) nextManifest.files[manifestKey] = { ...previous, hash: null };
+        defer(() => {
+          failures++;
+          if (dryRun) plan.skipFile(absoluteSourcePath, 'invalid MDX (--strict-mdx)');
+          report.files.push({
+            source: relativeFromSrc,
+            output: null,
+            mdxIssues: mdx.issues,
+          });
+          console.warn(pc.red('Invalid MDX, not written:'), relativeFromSrc);
+        });
+        return deferred;
+      }
 
       // Write outputs
-      if (usedMapping) {
+      if (dryRun) {
+        defer(async () => {
+          await plan.addFile(finalAbsolute, finalDoc, usedMapping ? 'move-map' : '');
+          if (copyRoot) await plan.addFile(mirrorDestAbs, finalDoc, 'copy');
+        });
+      } else if (usedMapping) {
         // Do NOT create the mapped folder; we already checked it exists.
         await fs.writeFile(finalAbsolute, finalDoc, 'utf8');
       } else {
@@ -295,32 +916,78 @@ export async function runPipeline(options) {
         await fs.writeFile(finalAbsolute, finalDoc, 'utf8');
       }
 
-      if (copyRoot) {
+      if (copyRoot && !dryRun) {
         await fs.mkdir(path.dirname(mirrorDestAbs), { recursive: true });
         await fs.writeFile(mirrorDestAbs, finalDoc, 'utf8');
       }
 
-      report.files.push({
+      const fileReport = {
         source: relativeFromSrc,
-        output: path.relative(destRoot, finalAbsolute),
-        copiedTo: copyRoot ? path.relative(copyRoot, mirrorDestAbs) : null,
+        output: outputRel,
+        copiedTo: mirrorRel,
         title: readmeFrontmatter.title,
+        unmappedFrontmatter: unmappedKeys,
+        rewrittenLinks,
+        ...(docsVersion && { crossVersionLinks }),
+        brokenLinks: Array.from(new Set(brokenLinks)),
         warnings,
+        partials: inlined.partials.map((file) => fromSrcRoot(file)),
+        mdxIssues: mdx.issues,
         images: uniqueImages,
-      });
+        uploadedImages: Array.from(hostedImages, ([original, entry]) => ({
+          original,
+          local: path.relative(imagesSrc, entry.local).replace(/\\/g, '/'),
+          url: entry.url,
+          cached: entry.cached,
+        })),
+      };
+      // Inlined partials are part of the source: a change to one reconverts this doc
+      const partialHashes = {};
+      for (const file of inlined.partials) {
+        partialHashes[fromSrcRoot(file)] = await hashFileIfExists(file);
+      }
 
-      console.log(
-        pc.cyan('Converted:'),
-        relativeFromSrc,
-        '→',
-        path.relative(destRoot, finalAbsolute),
-        pc.green('✓'),
-      );
+      nextManifest.files[manifestKey] = {
+        hash: sourceHash,
+        transformVersion: TRANSFORM_VERSION,
+        settings: settingsFingerprint,
+        output: outputRel,
+        outputHash: hashContent(finalDoc),
+        copiedTo: mirrorRel,
+        position: toPosition(customerFM.sidebar_position),
+        links: docLinks,
+        partials: partialHashes,
+        logRows: fileLogRows,
+        uploadAttempted: canUpload,
+        report: fileReport,
+        migratedAt: new Date().toISOString(),
+      };
+
+      defer(() => {
+        recordPosition(
+          path.dirname(finalAbsolute),
+          toOrderSlug(path.basename(finalAbsolute), true),
+          toPosition(customerFM.sidebar_position),
+        );
+        report.files.push(fileReport);
+        console.log(
+          pc.cyan(dryRun ? 'Would convert:' : 'Converted:'),
+          relativeFromSrc,
+          '→',
+          outputRel,
+          pc.green('✓'),
+        );
+      });
     } catch (err) {
-      failures++;
-      console.warn(pc.red('Failed:'), relativeFromSrc);
-      console.warn(pc.gray(String(err && (err.stack || err.message || err))));
-      await appendToLog(
+      // Keep tracking the old output, but convert the file again next run
+      if (previous) nextManifest.files[manifestKey] = { ...previous, hash: null };
+      defer(() => {
+        failures++;
+        if (dryRun) plan.skipFile(absoluteSourcePath, `conversion failed: ${err?.message || err}`);
+        console.warn(pc.red('Failed:'), relativeFromSrc);
+        console.warn(pc.gray(String(err && (err.stack || err.message || err))));
+      });
+      await deferLog(
         logPath,
         'FAILED',
         relativeFromSrc,
@@ -328,18 +995,130 @@ export async function runPipeline(options) {
         [],
         [],
       );
-      continue;
+    }
+    return deferred;
+  };
+
+  await forEachInOrder(discovered, concurrency, convertFile, async (deferred) => {
+    for (const apply of deferred) await apply();
+  });
+  report.failures = failures;
+
+  // Outputs of earlier runs that no current source produces: the source was deleted, or it
+  // is written somewhere else now. Flag them, or remove them with `removeDeleted` as long as
+  // nobody edited them since we wrote them.
+  const currentOutputs = new Set([...destinations.values()].map((d) => d.finalAbsolute));
+  const discoveredKeys = new Set(
+    discovered.map((abs) => path.relative(srcRoot, abs).replace(/\\/g, '/')),
+  );
+  for (const [source, entry] of Object.entries(manifest.files)) {
+    const deleted = !discoveredKeys.has(source);
+    if (!deleted && nextManifest.files[source]?.output === entry.output) continue;
+    const outputAbs = path.join(destRoot, entry.output);
+    if (currentOutputs.has(outputAbs)) continue;
+
+    const onDisk = await hashFileIfExists(outputAbs);
+    if (!onDisk) continue;
+    const reason = deleted
+      ? 'Source file was deleted'
+      : `Source now migrates to ${nextManifest.files[source]?.output}`;
+
+    let action = 'flagged';
+    if (removeDeleted) action = onDisk === entry.outputHash ? 'removed' : 'kept (edited)';
+
+    if (action === 'removed') {
+      const copiedAbs = copyRoot && entry.copiedTo ? path.join(copyRoot, entry.copiedTo) : null;
+      const mirrored =
+        copiedAbs && (await hashFileIfExists(copiedAbs)) === entry.outputHash ? copiedAbs : null;
+      for (const target of [outputAbs, mirrored].filter(Boolean)) {
+        if (dryRun) plan.removeFile(target, reason.toLowerCase());
+        else await fs.rm(target, { force: true });
+      }
+      console.log(pc.magenta(dryRun ? 'Would remove:' : 'Removed:'), entry.output);
+    } else {
+      // Keep deleted sources in the manifest so their outputs are flagged until resolved
+      if (deleted) nextManifest.files[source] = entry;
+      console.log(pc.yellow('Orphaned output:'), entry.output, pc.gray(`(${reason})`));
+    }
+
+    await writeLog(
+      logPath,
+      action === 'removed' ? 'REMOVED_OUTPUT' : 'ORPHANED_OUTPUT',
+      source,
+      action === 'flagged'
+        ? `${reason}; ${entry.output} left in place (use --remove-deleted to delete it).`
+        : action === 'removed'
+          ? `${reason}; removed ${entry.output}.`
+          : `${reason}; ${entry.output} was edited after migration, so it was kept.`,
+      [],
+      [],
+    );
+    report.orphanedOutputs.push({ source, output: entry.output, reason, action });
+  }
+
+  // Sidebar `link` items become ReadMe link pages
+  for (const link of sidebarPlacement?.links || []) {
+    const linkAbs = path.join(destRoot, link.dir, link.fileName);
+    const linkDoc = buildLinkPage(link.label, link.href);
+    if (dryRun) {
+      await plan.addFile(linkAbs, linkDoc, 'sidebar link');
+    } else {
+      await fs.mkdir(path.dirname(linkAbs), { recursive: true });
+      await fs.writeFile(linkAbs, linkDoc, 'utf8');
     }
   }
 
   // Finalization
-  await ensureIndexesForCreatedDirs(destRoot);
-  await updateAllOrderYamlIfPresent(destRoot);
+  const orderYamlOptions = {
+    positions: orderPositions,
+    createMissing: createOrderYaml || !!sidebarPlacement,
+  };
+  if (dryRun) {
+    for (const bookkeeping of [
+      logPath,
+      imagesMapPath,
+      path.join(destRoot, MANIFEST_FILE),
+      path.join(destRoot, 'migration-report.json'),
+    ]) {
+      await plan.addFile(bookkeeping, null, 'migration log');
+    }
+    const plannedFiles = plan.plannedPaths();
+    plan.indexes = await ensureIndexesForCreatedDirs(destRoot, {
+      dryRun,
+      plannedFiles,
+      titles: indexTitles,
+    });
+    plan.orderYaml = await updateAllOrderYamlIfPresent(destRoot, {
+      ...orderYamlOptions,
+      dryRun,
+      plannedFiles: [...plannedFiles, ...plan.indexes],
+    });
+    report.completedAt = new Date().toISOString();
+    report.plan = {
+      files: plan.files,
+      indexes: plan.indexes,
+      orderYaml: plan.orderYaml,
+      logRows: plan.logRows,
+      pendingUploads: plan.pendingUploads,
+    };
+    printDryRunPlan(plan, destRoot);
+    return report;
+  }
+
+  if (canUpload) await saveUploadCache();
+  await saveManifest(destRoot, nextManifest);
+  await ensureIndexesForCreatedDirs(destRoot, { titles: indexTitles });
+  await updateAllOrderYamlIfPresent(destRoot, orderYamlOptions);
 
   report.completedAt = new Date().toISOString();
   const reportPath = path.join(destRoot, 'migration-report.json');
   await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
 
+  if (report.unchanged) {
+    console.log(
+      pc.gray(`\n${report.unchanged} unchanged file(s) skipped (use --force to rebuild).`),
+    );
+  }
   if (failures) {
     console.log(pc.red(`\nCompleted with ${failures} failure(s). See _log.csv.`));
   } else {
@@ -350,67 +1129,534 @@ export async function runPipeline(options) {
 }
 
 /* ========================================================================== */
-/*                                 HELPERS                                    */
+/*                              VERSIONED SITES                               */
+/* ========================================================================== */
+
+/**
+ * Migrate a versioned Docusaurus site: `docs/` and each `versioned_docs/version-*` folder from
+ * `versions.json` is one `runPipeline` run into `<destRoot>/<version>` (and
+ * `<copyRoot>/<version>`), with that version's `versioned_sidebars` file, its own log, manifest
+ * and report. Every version is planned first, so links into another version (`/docs/1.x/…`,
+ * `../versioned_docs/version-1.x/…`) point at that version's page (`/v1.x/docs/slug`).
+ *
+ * Problems with the site itself go to `<destRoot>/_log.csv`; the returned report (also written
+ * there) sums up each version.
+ *
+ * @param {Object} options - `runPipeline` options, `srcRoot` being the site folder
+ */
+async function runVersionedPipeline(options) {
+  const {
+    srcRoot,
+    destRoot,
+    sourceFormat = 'docusaurus',
+    copyRoot = null,
+    sidebarsFile = null,
+    currentVersion = null,
+    linkBasePath = '/docs',
+    dryRun = false,
+  } = options;
+
+  const adapter = getSourceAdapter(sourceFormat);
+  if (adapter.name !== 'docusaurus') {
+    throw new Error(`Versioned docs can only be read from Docusaurus sites, not ${adapter.label}.`);
+  }
+  const { versions, missing } = await readDocusaurusVersions(srcRoot, {
+    currentVersion: currentVersion || undefined,
+    sidebarsFile,
+  });
+
+  const logPath = path.join(destRoot, '_log.csv');
+  if (!dryRun) {
+    await fs.mkdir(destRoot, { recursive: true });
+    await writeLogHeader(logPath);
+  }
+  for (const { name, folder } of missing) {
+    const message = `No ${folder} folder for version ${name}; not migrated.`;
+    if (!dryRun) await appendToLog(logPath, 'VERSION_NOT_FOUND', folder, message, [], []);
+    console.log(pc.yellow('Warning:'), message);
+  }
+  console.log(
+    pc.gray(`Versions: ${versions.map((version) => version.name).join(', ') || 'none'}.`),
+  );
+
+  const versionDest = (version) => path.join(destRoot, version.name);
+  const linkable = [];
+  for (const version of versions) {
+    const { docs, slugs } = await planVersionSlugs(version, adapter, {
+      ...options,
+      destRoot: versionDest(version),
+    });
+    linkable.push({
+      name: version.name,
+      docs,
+      slugs,
+      routeBasePaths: [versionRoute(version)],
+      linkBasePath: versionLinkBase(version.name, linkBasePath),
+      srcRoot: version.srcRoot,
+    });
+  }
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    srcRoot,
+    destRoot,
+    sourceFormat: adapter.name,
+    dryRun,
+    versions: [],
+    missingVersions: missing,
+  };
+  for (const version of versions) {
+    console.log(
+      pc.cyan(`\nVersion ${version.name}`),
+      pc.gray(`(${path.relative(srcRoot, version.srcRoot)} → ${version.name}/)`),
+    );
+    const versionReport = await runPipeline({
+      ...options,
+      versions: false,
+      srcRoot: version.srcRoot,
+      destRoot: versionDest(version),
+      copyRoot: copyRoot && path.join(copyRoot, version.name),
+      sidebarsFile: version.sidebarsFile,
+      docsVersion: version,
+      linkedVersions: linkable.filter((linked) => linked.name !== version.name),
+    });
+    report.versions.push(summarizeVersion(version, versionReport, srcRoot));
+    if (versionReport.aborted) report.aborted = true;
+  }
+
+  console.log(pc.cyan('\nVersions migrated:'));
+  for (const summary of report.versions) {
+    console.log(
+      `  ${summary.name}: ${summary.converted} converted, ${summary.unchanged} unchanged, ` +
+        `${summary.failed} failed, ${summary.crossVersionLinks} cross-version link(s), ` +
+        `${summary.brokenLinks} broken link(s)${summary.aborted ? pc.red(' (aborted)') : ''}`,
+    );
+  }
+
+  report.completedAt = new Date().toISOString();
+  if (!dryRun) {
+    const reportPath = path.join(destRoot, 'migration-report.json');
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  }
+  return report;
+}
+
+/** Source docs of a version and the slug each gets, before anything is converted. */
+async function planVersionSlugs(version, adapter, options) {
+  const { sourceDocs } = await discoverSourceDocs(version.srcRoot, {
+    adapter,
+    includeMdx: options.includeMdx,
+    include: options.include,
+    exclude: options.exclude,
+    skipDrafts: options.skipDrafts,
+  });
+  let sidebarPlacement = null;
+  if (version.sidebarsFile) {
+    const { config } = await adapter.loadNavigation(version.sidebarsFile);
+    sidebarPlacement = buildSidebarPlacement(config, {
+      docs: sourceDocs,
+      categories: await adapter.readCategories(version.srcRoot),
+      sidebar: options.sidebarName || undefined,
+      fileNames: slugFileNames(sourceDocs, options.frontmatterMap),
+    });
+  }
+  // A move that renames a category's folder renames its index.md slug too
+  const { map: moveMap, dupes: moveDupes } = await loadMoveMap(
+    options.moveMapCsv,
+    options.moveRules,
+    options.destRoot,
+  );
+  const slugs = new Map();
+  for (const doc of sourceDocs) {
+    const { finalAbsolute } = await resolveDestination(doc.relPath, {
+      destRoot: options.destRoot,
+      flatOutput: !!options.flatOutput,
+      sidebarPlacement,
+      moveMap,
+      moveDupes,
+      fileName: slugFileName(doc, options.frontmatterMap),
+    });
+    slugs.set(doc.relPath, docSlugFor(doc, finalAbsolute, options.frontmatterMap));
+  }
+  return { docs: sourceDocs, slugs };
+}
+
+/** The move-map CSV with the config file's `moves` over it; nulls without either. */
+async function loadMoveMap(moveMapCsv, moveRules, destRoot) {
+  if (!moveMapCsv && !moveRules) return { map: null, dupes: null };
+  const loaded = moveMapCsv ? await readMoveMapCsv(moveMapCsv, destRoot) : undefined;
+  return moveRules ? addMoveRules(moveRules, destRoot, loaded) : loaded;
+}
+
+/** One version's line in the report of a versioned run. */
+function summarizeVersion(version, versionReport, siteRoot) {
+  const files = versionReport.files || [];
+  const count = (key) => files.reduce((sum, file) => sum + (file[key]?.length || 0), 0);
+  return {
+    name: version.name,
+    current: version.current,
+    source: path.relative(siteRoot, version.srcRoot).replace(/\\/g, '/'),
+    sidebarsFile: version.sidebarsFile,
+    output: version.name,
+    converted: files.filter((file) => file.output && !file.unchanged).length,
+    unchanged: versionReport.unchanged || 0,
+    failed: versionReport.failures || 0,
+    skipped: versionReport.skipped?.length || 0,
+    conflicts: versionReport.conflicts?.length || 0,
+    crossVersionLinks: count('crossVersionLinks'),
+    brokenLinks: count('brokenLinks'),
+    aborted: !!versionReport.aborted,
+  };
+}
+
 /* ========================================================================== */
+/*                               TRANSLATIONS                                 */
+/* ========================================================================== */
+
+/** Where Docusaurus keeps a locale's translated docs, under the site folder. */
+const I18N_DOCS_DIR = 'docusaurus-plugin-content-docs/current';
+
+/**
+ * @typedef {Object} TranslationRun
+ * @property {string} locale - Language being migrated
+ * @property {string} defaultLocale - Language of `docs/`
+ * @property {Map<string, string>} outputs - Default-locale source relPath → its output,
+ *   relative to the default locale's folder
+ */
+
+/**
+ * Migrate a Docusaurus site with its translations (`locales` option): `docs/` first, into
+ * `<destRoot>/<defaultLocale>`, then each `i18n/<locale>/docusaurus-plugin-content-docs/current`
+ * into `<destRoot>/<locale>`. A translated file is paired with the default-locale file at the
+ * same relative path and written to the same place in its own folder, so move-map and sidebar
+ * placement carry over; default-locale pages without a translation (`UNTRANSLATED`) and
+ * translations without a default-locale page (`ORPHANED_TRANSLATION`) are logged in the
+ * locale's `_log.csv`.
+ *
+ * Problems with the site itself go to `<destRoot>/_log.csv`; the returned report (also written
+ * there) sums up each locale.
+ *
+ * @param {Object} options - `runPipeline` options, `srcRoot` being the site folder
+ */
+async function runLocalizedPipeline(options) {
+  const {
+    srcRoot,
+    destRoot,
+    sourceFormat = 'docusaurus',
+    copyRoot = null,
+    locales,
+    defaultLocale = 'en',
+    dryRun = false,
+  } = options;
+
+  const adapter = getSourceAdapter(sourceFormat);
+  if (adapter.name !== 'docusaurus') {
+    throw new Error(`Translations can only be read from Docusaurus sites, not ${adapter.label}.`);
+  }
+  const docsRoot = path.join(srcRoot, 'docs');
+  if (!(await fs.stat(docsRoot).catch(() => null))?.isDirectory()) {
+    throw new Error(`No docs/ folder in ${srcRoot}`);
+  }
+  if (locales.includes(defaultLocale)) {
+    throw new Error(`Locale "${defaultLocale}" is the default locale; it can't be a translation.`);
+  }
+
+  const logPath = path.join(destRoot, '_log.csv');
+  if (!dryRun) {
+    await fs.mkdir(destRoot, { recursive: true });
+    await writeLogHeader(logPath);
+  }
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    srcRoot,
+    destRoot,
+    sourceFormat: adapter.name,
+    dryRun,
+    defaultLocale,
+    locales: [],
+  };
+  const runLocale = async (locale, localeSrcRoot, extra = {}) => {
+    console.log(
+      pc.cyan(`\nLocale ${locale}`),
+      pc.gray(`(${path.relative(srcRoot, localeSrcRoot)} → ${locale}/)`),
+    );
+    const localeReport = await runPipeline({
+      ...options,
+      locales: [],
+      srcRoot: localeSrcRoot,
+      destRoot: path.join(destRoot, locale),
+      copyRoot: copyRoot && path.join(copyRoot, locale),
+      ...extra,
+    });
+    report.locales.push(summarizeLocale(locale, localeReport, localeSrcRoot, srcRoot));
+    if (localeReport.aborted) report.aborted = true;
+    return localeReport;
+  };
+
+  const defaultReport = await runLocale(defaultLocale, docsRoot);
+  // Pages that failed (or were invalid with `strictMdx`) have no output for translations to follow
+  const outputs = new Map(
+    defaultReport.files
+      .filter((file) => file.output)
+      .map((file) => [file.source.replace(/\\/g, '/'), file.output]),
+  );
+
+  for (const locale of report.aborted ? [] : locales) {
+    const localeSrcRoot = path.join(srcRoot, 'i18n', locale, I18N_DOCS_DIR);
+    if (!(await fs.stat(localeSrcRoot).catch(() => null))?.isDirectory()) {
+      const folder = path.relative(srcRoot, localeSrcRoot).replace(/\\/g, '/');
+      const message = `No ${folder} folder for locale ${locale}; not migrated.`;
+      if (!dryRun) await appendToLog(logPath, 'LOCALE_NOT_FOUND', folder, message, [], []);
+      console.log(pc.yellow('Warning:'), message);
+      continue;
+    }
+    // Placement comes from the default locale, so the move map isn't applied again
+    await runLocale(locale, localeSrcRoot, {
+      moveMapCsv: null,
+      moveRules: null,
+      translation: { locale, defaultLocale, outputs },
+    });
+  }
+
+  console.log(pc.cyan('\nLocales migrated:'));
+  for (const summary of report.locales) {
+    const pairing = summary.default
+      ? ''
+      : `, ${summary.untranslated.length} untranslated, ` +
+        `${summary.orphaned.length} orphaned translation(s)`;
+    console.log(
+      `  ${summary.locale}: ${summary.converted} converted, ${summary.unchanged} unchanged, ` +
+        `${summary.failed} failed${pairing}${summary.aborted ? pc.red(' (aborted)') : ''}`,
+    );
+  }
+
+  report.completedAt = new Date().toISOString();
+  if (!dryRun) {
+    const reportPath = path.join(destRoot, 'migration-report.json');
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  }
+  return report;
+}
 
-function buildReadmeFrontmatter(title) {
+/** One locale's entry in the report of a run with translations. */
+function summarizeLocale(locale, localeReport, localeSrcRoot, siteRoot) {
+  const files = localeReport.files || [];
   return {
-    title,
+    locale,
+    default: !localeReport.untranslated,
+    source: path.relative(siteRoot, localeSrcRoot).replace(/\\/g, '/'),
+    output: locale,
+    converted: files.filter((file) => file.output && !file.unchanged).length,
+    unchanged: localeReport.unchanged || 0,
+    failed: localeReport.failures || 0,
+    skipped: localeReport.skipped?.length || 0,
+    untranslated: localeReport.untranslated || [],
+    orphaned: localeReport.orphanedTranslations || [],
+    aborted: !!localeReport.aborted,
+  };
+}
+
+/* ========================================================================== */
+/*                                 HELPERS                                    */
+/* ========================================================================== */
+
+/**
+ * Source docs to migrate under `srcRoot`: `--include`/`--exclude` and `.migrationignore` first,
+ * then drafts (frontmatter). Files the adapter ignores (partials) are left out silently.
+ *
+ * @returns {Promise<{sourceDocs: import('./sourceDocs.mjs').SourceDoc[],
+ *   skipped: Array<{source: string, reason: string}>}>}
+ */
+async function discoverSourceDocs(srcRoot, { adapter, includeMdx, include, exclude, skipDrafts }) {
+  const skipReason = await createSourceFilter(srcRoot, { include, exclude });
+  const skipped = [];
+  const candidates = [];
+  for (const absolutePath of await findMarkdownFilesRecursive(srcRoot, {
+    includeMdx: includeMdx || !!adapter.includeMdx,
+  })) {
+    const relPath = path.relative(srcRoot, absolutePath).replace(/\\/g, '/');
+    if (adapter.ignore?.(relPath)) continue;
+    const reason = skipReason(relPath);
+    if (reason) skipped.push({ source: relPath, reason });
+    else candidates.push(absolutePath);
+  }
+  const sourceDocs = (await readSourceDocs(srcRoot, candidates)).filter((doc) => {
+    const draft = doc.frontmatter.draft === true || doc.frontmatter.draft === 'true';
+    if (skipDrafts && draft) skipped.push({ source: doc.relPath, reason: 'draft: true' });
+    return !(skipDrafts && draft);
+  });
+  return { sourceDocs, skipped };
+}
+
+/**
+ * Decide where a source doc is written.
+ *
+ * Default output behavior for *unmapped* files:
+ * - If flatOutput = true  → put just the file in destRoot (flat)
+ * - If flatOutput = false → mirror source subfolders under destRoot (mirrored)
+ * - If a sidebars file lists the doc → its sidebar category folder
+ * A move-map entry then moves the file into an EXISTING folder (no new folders are created);
+ * problems with the mapping are returned as `issues` and the default location is kept.
+ * A translation (`pairedOutput`) goes where its default-locale page went, whatever the rest says.
+ *
+ * @returns {Promise<{finalAbsolute: string, usedMapping: boolean, sidebarEntry: Object|null,
+ *   issues: Array<{type: string, message: string}>}>}
+ */
+async function resolveDestination(
+  relPath,
+  {
+    destRoot,
+    flatOutput,
+    sidebarPlacement,
+    moveMap,
+    moveDupes,
+    pairedOutput = null,
+    fileName = null,
+  },
+) {
+  let defaultRelative = (flatOutput ? path.basename(relPath) : relPath).replace(
+    /\.(md|mdx)$/i,
+    '.md',
+  );
+  if (fileName) defaultRelative = path.join(path.dirname(defaultRelative), fileName);
+  const sidebarEntry = sidebarPlacement?.byDoc.get(relPath) || null;
+  if (pairedOutput) {
+    return {
+      finalAbsolute: path.join(destRoot, pairedOutput),
+      usedMapping: false,
+      sidebarEntry,
+      issues: [],
+    };
+  }
+  if (sidebarEntry) defaultRelative = path.join(sidebarEntry.dir, sidebarEntry.fileName);
+  const defaultDestAbs = path.join(destRoot, defaultRelative);
+
+  // ===================== MAPPING LOGIC (NO NEW FOLDERS) =====================
+  const outFileName = path.basename(defaultDestAbs);
+  const moveKey = outFileName.toLowerCase();
+  const issues = [];
+
+  let finalAbsolute = defaultDestAbs;
+  let usedMapping = false;
+
+  if (moveMap && moveMap.has(moveKey) && !(moveDupes && moveDupes.has(moveKey))) {
+    const mappedDir = moveMap.get(moveKey); // absolute string or null
+    if (typeof mappedDir === 'string' && mappedDir.trim()) {
+      // Only use mapping if the directory ALREADY exists and is a directory.
+      try {
+        const st = await fs.stat(mappedDir);
+        if (st.isDirectory()) {
+          finalAbsolute = path.join(mappedDir, outFileName);
+          usedMapping = true;
+        } else {
+          issues.push({
+            type: 'MOVE_DEST_NOT_DIR',
+            message: `Mapped destination exists but is not a directory: ${mappedDir}`,
+          });
+        }
+      } catch {
+        // Directory does not exist; do NOT create it. Keep default location.
+        issues.push({
+          type: 'MOVE_DEST_MISSING',
+          message: `Mapped destination directory not found: ${mappedDir}`,
+        });
+      }
+    }
+  } else if (moveMap && moveDupes && moveDupes.has(moveKey)) {
+    issues.push({
+      type: 'MOVE_DUPLICATE',
+      message: `Multiple destinations for ${outFileName}; not moved.`,
+    });
+  }
+  // ========================================================================
+
+  return { finalAbsolute, usedMapping, sidebarEntry, issues };
+}
+
+/** ReadMe slug of a doc: its (mapped) `slug` frontmatter, or that of its output file. */
+function docSlugFor(doc, finalAbsolute, frontmatterMap) {
+  return frontmatterSlug(doc, frontmatterMap) || outputSlugFor(finalAbsolute);
+}
+
+/** The (mapped) `slug` frontmatter of a doc, or null. */
+function frontmatterSlug(doc, frontmatterMap) {
+  const { frontmatter } = buildReadmeFM(
+    doc.frontmatter,
+    '',
+    frontmatterMap || DEFAULT_FRONTMATTER_MAP,
+  );
+  return frontmatter.slug ? String(frontmatter.slug).trim() || null : null;
+}
+
+/**
+ * Output file name of a doc with a `slug` frontmatter, so that its file, `_order.yaml` entry
+ * and links all use that slug; null for other docs, which keep their source file name.
+ */
+function slugFileName(doc, frontmatterMap) {
+  const slug = frontmatterSlug(doc, frontmatterMap);
+  return slug ? `${slug.replace(/[/\\]+/g, '-')}.md` : null;
+}
+
+/** `slugFileName` of every doc that has one: source relPath → output file name. */
+function slugFileNames(docs, frontmatterMap) {
+  const fileNames = new Map();
+  for (const doc of docs) {
+    const fileName = slugFileName(doc, frontmatterMap);
+    if (fileName) fileNames.set(doc.relPath, fileName);
+  }
+  return fileNames;
+}
+
+/** ReadMe slug of an output file; a folder's index.md takes the folder's slug. */
+function outputSlugFor(finalAbsolute) {
+  const fileName = path.basename(finalAbsolute);
+  return fileName.toLowerCase() === 'index.md'
+    ? toOrderSlug(path.basename(path.dirname(finalAbsolute)), false)
+    : toOrderSlug(fileName, true);
+}
+
+/** Frontmatter-only page that ReadMe renders as a link in the sidebar. */
+function buildLinkPage(label, href) {
+  const frontmatter = {
+    title: label || href,
+    type: 'link',
+    link: { url: href, new_tab: /^https?:\/\//i.test(String(href)) },
     deprecated: false,
     hidden: false,
     metadata: { robots: 'index' },
   };
+  return `---\n${yaml.dump(frontmatter, { lineWidth: 0 })}---\n`;
 }
 
-function collectInlineImageUrlsFromText(source) {
+function collectInlineImageUrlsFromText(source, imagePatterns = []) {
   const urls = new Set();
   const mdImg = /!\[[^\]]*]\(([^)\s]+)(?:\s+["'][^")]+["'])?\)/g;
   for (const m of source.matchAll(mdImg)) if (m[1]) urls.add(m[1].trim());
   const htmlImg = /<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["'][^>]*>/gi;
   for (const m of source.matchAll(htmlImg)) if (m[1]) urls.add(m[1].trim());
-  const useBase = /useBaseUrl\(\s*(['"])(.*?)\1\s*\)/g;
-  for (const m of source.matchAll(useBase)) if (m[2]) urls.add(m[2].trim());
+  // Framework-specific references (e.g. Docusaurus useBaseUrl())
+  for (const { find } of imagePatterns) {
+    for (const m of source.matchAll(find)) if (m.groups?.url) urls.add(m.groups.url.trim());
+  }
   return Array.from(urls);
 }
 
-function replaceImageMentions(markdownBody, imageUrlMap) {
-  if (!imageUrlMap || !imageUrlMap.size) return markdownBody;
-  let out = markdownBody;
-
-  out = out.replace(/(\*\*MISSING IMAGE!\*\*)\s+([^\s]+)\s*$/gm, (whole, _label, originalPath) => {
-    const entry = imageUrlMap.get(originalPath);
-    if (!entry || !entry.url) return whole;
-    return `<img src="${entry.url}" />`;
-  });
-
-  out = out.replace(
-    /src=\{\s*useBaseUrl\(\s*(['"])(.*?)\1\s*\)\s*\}/g,
-    (whole, _q, originalPath) => {
-      const entry = imageUrlMap.get(originalPath);
-      if (!entry || !entry.url) return whole;
-      return `src="${entry.url}"`;
-    },
-  );
-
-  out = out.replace(
-    /!\[([^\]]*)]\(([^)\s]+)(?:\s+["'][^")]+["'])?\)/g,
-    (whole, altText, originalPath) => {
-      const entry = imageUrlMap.get(originalPath);
-      if (!entry || !entry.url) return whole;
-      return `![${altText}](${entry.url})`;
-    },
-  );
+/* ---------------- MDX component collection (for logging only) -------------- */
 
-  return out;
-}
+/**
+ * Components the migration writes or converts itself: `<Table>` from HTML tables
+ * (transform/tables.mjs), tabs (transform/tabs.mjs) and `<CodeBlock>` (transform/codeBlocks.mjs).
+ * The converters report the ones they can't convert.
+ */
+const GENERATED_COMPONENTS = new Set(['Table', 'Tabs', 'TabItem', 'Tab', 'CodeBlock']);
 
-/* ---------------- MDX component collection (for logging only) -------------- */
 function remarkCollectMdxComponentsComponentLike({ removed = [] } = {}) {
   return (tree) => {
     visit(tree, (node) => {
       if (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') {
         const name = node.name || '';
-        if (!/^[A-Z]/.test(name)) return;
+        if (!/^[A-Z]/.test(name) || GENERATED_COMPONENTS.has(name)) return;
         const attrs = (node.attributes || [])
           .map((a) => {
             if (!a || !a.name) return '';
@@ -432,56 +1678,109 @@ function remarkCollectMdxComponentsComponentLike({ removed = [] } = {}) {
   };
 }
 
-/** Replace ALL image mentions with a consistent placeholder. */
-function replaceAllImagesWithPlaceholder(markdownBody) {
+/** Drop the JSX components on the `removeComponents` deny list, children included. */
+function remarkRemoveMdxComponents({ names = [], removed = [] } = {}) {
+  const denied = new Set(names);
+  return (tree) => {
+    if (!denied.size) return;
+    visit(tree, (node, index, parent) => {
+      if (node.type !== 'mdxJsxFlowElement' && node.type !== 'mdxJsxTextElement') return;
+      if (!denied.has(node.name) || !parent || index === undefined) return;
+      removed.push(node.name);
+      parent.children.splice(index, 1);
+      // Don't leave the spaces that surrounded an inline component behind
+      const before = parent.children[index - 1];
+      const after = parent.children[index];
+      if (after?.type === 'text' && (!before || /\s$/.test(before.value ?? ''))) {
+        after.value = after.value.trimStart();
+      }
+      if (before?.type === 'text' && !after) before.value = before.value.trimEnd();
+      return [SKIP, index];
+    });
+  };
+}
+
+/**
+ * Replace ALL image mentions with a consistent placeholder, except images that
+ * were uploaded: those are rewritten to point at their hosted URL instead.
+ *
+ * @param {string} markdownBody
+ * @param {Map<string, {local: string, url: string}>} [hostedImages] - original path → upload result
+ * @param {import('./adapters/index.mjs').ImagePattern[]} [imagePatterns] - Source adapter patterns
+ */
+function replaceAllImagesWithPlaceholder(
+  markdownBody,
+  hostedImages = new Map(),
+  imagePatterns = [],
+) {
+  const hostedUrl = (originalPath) => hostedImages.get(originalPath)?.url || '';
   let out = markdownBody;
 
   // 1) Markdown images: ![alt](url "title")
-  out = out.replace(
-    /!\[([^\]]*)]\(([^)\s]+)(?:\s+["'][^")]+["'])?\)/g,
-    (_whole, _alt, url) => `**MISSING IMAGE!** ${url}`,
-  );
+  out = out.replace(/!\[([^\]]*)]\(([^)\s]+)(?:\s+["'][^")]+["'])?\)/g, (_whole, alt, url) => {
+    const hosted = hostedUrl(url);
+    return hosted ? `![${alt}](${hosted})` : `**MISSING IMAGE!** ${url}`;
+  });
 
   // 2) HTML <img src="...">
-  out = out.replace(
-    /<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["'][^>]*>/gi,
-    (_whole, url) => `**MISSING IMAGE!** ${url}`,
-  );
+  out = out.replace(/<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["'][^>]*>/gi, (whole, url) => {
+    const hosted = hostedUrl(url);
+    return hosted ? whole.replace(url, hosted) : `**MISSING IMAGE!** ${url}`;
+  });
 
-  // 3) Existing ImageZoom placeholder is already "**MISSING IMAGE!** /path" (kept as-is)
+  // 3) Source-framework references (e.g. Docusaurus src={useBaseUrl(...)})
+  for (const { replace, hosted: rewrite } of imagePatterns) {
+    if (!replace) continue;
+    out = out.replace(replace, (...args) => {
+      const url = args.at(-1).url;
+      const hosted = hostedUrl(url);
+      return hosted ? rewrite(hosted) : `**MISSING IMAGE!** ${url}`;
+    });
+  }
 
-  // 4) Docusaurus useBaseUrl() patterns inside src={...}
-  out = out.replace(
-    /src=\{\s*useBaseUrl\(\s*(['"])(.*?)\1\s*\)\s*\}/g,
-    (_whole, _q, url) => `**MISSING IMAGE!** ${url}`,
-  );
+  // 4) ImageZoom placeholders ("**MISSING IMAGE!** /path") whose image was uploaded
+  out = out.replace(/\*\*MISSING IMAGE!\*\*[ \t]+([^\s]+)/g, (whole, url) => {
+    const hosted = hostedUrl(url);
+    return hosted ? `<img src="${hosted}" />` : whole;
+  });
 
   return out;
 }
 
-/** Ensure images-map.csv has a header. */
-async function ensureImagesMapHeader(csvPath) {
-  try {
-    await fs.access(csvPath);
-    return; // already exists
-  } catch {
-    const header = 'File,Image Path,Local Candidate,Note\n';
-    await fs.writeFile(csvPath, header, 'utf8');
-  }
+/** Write the images-map.csv header (overwrites, like _log.csv). */
+async function writeImagesMapHeader(csvPath) {
+  const header = 'File,Image Path,Local Candidate,Hosted URL,Note\n';
+  await fs.writeFile(csvPath, header, 'utf8');
 }
 
 /**
- * Append rows to images-map.csv for manual wiring later.
+ * Append rows to images-map.csv.
  * - fileRel: doc’s relative path (from src root)
  * - imagePaths: array of referenced image paths found in the doc
  * - imageIndex: optional, if provided we’ll try to hint a local absolute match
+ * - hostedImages: upload results (original path → { local, url }) when uploading
+ * - uploadAttempted: whether uploads ran for this doc (drives the Note column)
  */
-async function appendImagesMapRows(csvPath, fileRel, imagePaths, imageIndex) {
+async function appendImagesMapRows(
+  csvPath,
+  fileRel,
+  imagePaths,
+  imageIndex,
+  { hostedImages = new Map(), uploadAttempted = false } = {},
+) {
   const rows = [];
   for (const p of imagePaths) {
-    const { localAbs, note } = tryResolveLocal(imageIndex, p);
+    const hosted = hostedImages.get(p);
+    let localAbs = hosted?.local || '';
+    let note = hosted ? (hosted.cached ? 'cached' : 'uploaded') : '';
+    if (!hosted) {
+      ({ localAbs, note } = tryResolveLocal(imageIndex, p));
+      if (uploadAttempted && localAbs) note = 'upload failed';
+    }
     rows.push(
-      `${csvSafe(fileRel)},${csvSafe(p)},${csvSafe(localAbs || '')},${csvSafe(note || '')}\n`,
+      `${csvSafe(fileRel)},${csvSafe(p)},${csvSafe(localAbs || '')},${csvSafe(
+        hosted?.url || '',
+      )},${csvSafe(note || '')}\n`,
     );
   }
   if (rows.length) {
@@ -492,14 +1791,19 @@ async function appendImagesMapRows(csvPath, fileRel, imagePaths, imageIndex) {
 function tryResolveLocal(imageIndex, imagePath) {
   if (!imageIndex) return { localAbs: '', note: 'no imagesSrc index' };
   try {
-    // optional: lazy import to avoid circular deps
-    // but since we didn’t import resolve helper here, do a simple lookup:
-    const hit = imageIndex.get(imagePath) || imageIndex.get(decodeURIComponent(imagePath));
+    const hit =
+      resolveLocalImageSmart(imagePath, imageIndex) ||
+      resolveLocalImageSmart(decodeURIComponent(imagePath), imageIndex);
     if (hit) return { localAbs: hit, note: 'indexed' };
   } catch {}
   return { localAbs: '', note: 'not indexed' };
 }
 
+/** Drop null/undefined fields so they don't override module defaults. */
+function pickDefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value != null));
+}
+
 function csvSafe(v) {
   if (v == null) return '';
   let s = String(v).replace(/"/g, '""');
@@ -0,0 +1,326 @@
+// src/publish.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import matter from 'gray-matter';
+
+import { DEFAULT_UPLOAD_OPTIONS } from './images/uploader.mjs';
+import { fetchWithRetry } from './utils/http.mjs';
+import { parseOrderYaml, toOrderSlug } from './utils/ordering.mjs';
+
+/** ReadMe version (branch) published to unless told otherwise. */
+export const DEFAULT_BRANCH = 'stable';
+
+/**
+ * A page as the ReadMe API takes it.
+ * @typedef {Object} PublishPage
+ * @property {string} slug
+ * @property {string} file - Path relative to the docs folder
+ * @property {string} category - Category title
+ * @property {string|null} parent - Parent page slug
+ * @property {number} position
+ * @property {Object} frontmatter
+ * @property {string} body
+ */
+
+/**
+ * @typedef {Object} PublishSummary
+ * @property {string} branch
+ * @property {string[]} created - Slugs, likewise below
+ * @property {string[]} updated
+ * @property {string[]} unchanged
+ * @property {string[]} deleted
+ * @property {string[]} createdCategories
+ * @property {Array<{file: string, slug: string|null, message: string}>} failed
+ * @property {Array<{file: string, reason: string}>} skipped
+ */
+
+/**
+ * Publish a converted docs folder through the ReadMe v2 API instead of git sync. Top-level
+ * folders are categories (titled by their `index.md`), pages and nested folders (parent pages,
+ * from their `index.md`) follow each folder's `_order.yaml`. Pages are matched by slug and
+ * only created or updated when they differ, so publishing again is a no-op; with `prune`,
+ * guides the docs folder no longer has are deleted from its categories (other categories are
+ * not touched). Failures are collected per page.
+ *
+ * @param {string} docsRoot - The converted docs (`--out`)
+ * @param {Object} opts
+ * @param {string} opts.apiKey - ReadMe API key (Bearer)
+ * @param {string} [opts.branch=DEFAULT_BRANCH] - ReadMe version
+ * @param {boolean} [opts.prune=false] - Delete guides of `docsRoot`'s categories that are not in it
+ * @param {Partial<typeof DEFAULT_UPLOAD_OPTIONS>} [opts.api] - API origin, retries and timeout
+ * @returns {Promise<PublishSummary>}
+ */
+export async function publishToReadme(docsRoot, { apiKey, branch, prune = false, api = {} }) {
+  if (!apiKey) throw new Error('publishToReadme: README API key is missing.');
+  const client = createClient(apiKey, branch || DEFAULT_BRANCH, api);
+  const summary = {
+    branch: client.branch,
+    created: [],
+    updated: [],
+    unchanged: [],
+    deleted: [],
+    createdCategories: [],
+    failed: [],
+    skipped: [],
+  };
+
+  const { categories, pages, skipped } = await readDocsTree(docsRoot);
+  summary.skipped.push(...skipped);
+
+  // Categories first, so pages can point at them
+  const remoteCategories = await client.get('/categories/guides');
+  const existing = new Map((remoteCategories?.data || []).map((c) => [c.title, c]));
+  const failedCategories = new Set();
+  for (const category of categories) {
+    try {
+      const remote = existing.get(category.title);
+      if (!remote) {
+        await client.send('POST', '/categories/guides', {
+          title: category.title,
+          position: category.position,
+        });
+        summary.createdCategories.push(category.title);
+      } else if (remote.position !== category.position) {
+        await client.send('PATCH', `/categories/guides/${encode(category.title)}`, {
+          position: category.position,
+        });
+      }
+    } catch (err) {
+      failedCategories.add(category.title);
+      summary.failed.push({ file: category.file, slug: null, message: err.message });
+    }
+  }
+
+  // Parents come before their children in `pages`
+  const failedSlugs = new Set();
+  for (const page of pages) {
+    const blockedBy = failedCategories.has(page.category)
+      ? 'category'
+      : failedSlugs.has(page.parent) && 'parent page';
+    if (blockedBy) {
+      failedSlugs.add(page.slug);
+      summary.failed.push({
+        file: page.file,
+        slug: page.slug,
+        message: `Not published: its ${blockedBy} failed`,
+      });
+      continue;
+    }
+    try {
+      const payload = pagePayload(page, client.branch);
+      const remote = await client.get(`/guides/${encode(page.slug)}`);
+      if (!remote) {
+        await client.send('POST', '/guides', payload);
+        summary.created.push(page.slug);
+      } else if (differs(remote.data || remote, payload)) {
+        await client.send('PATCH', `/guides/${encode(page.slug)}`, payload);
+        summary.updated.push(page.slug);
+      } else {
+        summary.unchanged.push(page.slug);
+      }
+    } catch (err) {
+      failedSlugs.add(page.slug);
+      summary.failed.push({ file: page.file, slug: page.slug, message: err.message });
+    }
+  }
+
+  if (prune) {
+    const keep = new Set(pages.map((page) => page.slug));
+    const stale = [];
+    // Only categories this docs folder builds; hand-made ones on ReadMe are left alone
+    const local = new Set(categories.map((category) => category.title));
+    for (const category of remoteCategories?.data || []) {
+      if (!local.has(category.title)) continue;
+      const listed = await client.get(`/categories/guides/${encode(category.title)}/pages`);
+      for (const page of listed?.data || []) {
+        if (!keep.has(page.slug)) stale.push(page);
+      }
+    }
+    // Children before their parents
+    stale.sort((a, b) => Number(!a.parent?.uri) - Number(!b.parent?.uri));
+    for (const page of stale) {
+      try {
+        await client.send('DELETE', `/guides/${encode(page.slug)}`);
+        summary.deleted.push(page.slug);
+      } catch (err) {
+        summary.failed.push({ file: '', slug: page.slug, message: err.message });
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Categories and pages of a docs folder, in publishing order. Files at the top level (not in a
+ * category) can't be published and are reported in `skipped`.
+ *
+ * @param {string} docsRoot
+ * @returns {Promise<{categories: Array<{title: string, position: number, file: string}>,
+ *   pages: PublishPage[], skipped: Array<{file: string, reason: string}>}>}
+ */
+async function readDocsTree(docsRoot) {
+  const categories = [];
+  const pages = [];
+  const skipped = [];
+  const rel = (abs) => path.relative(docsRoot, abs).replace(/\\/g, '/');
+
+  for (const item of await listFolder(docsRoot)) {
+    if (!item.isFolder) {
+      skipped.push({ file: rel(item.abs), reason: 'Not in a category folder' });
+      continue;
+    }
+    const index = await readPage(path.join(item.abs, 'index.md'));
+    const title = index?.frontmatter.title || item.name;
+    categories.push({ title, position: item.position, file: rel(item.abs) });
+    await collectPages(item.abs, { category: title, parent: null });
+  }
+
+  async function collectPages(dir, { category, parent }) {
+    for (const item of await listFolder(dir)) {
+      const file = item.isFolder ? path.join(item.abs, 'index.md') : item.abs;
+      const page = await readPage(file);
+      if (!page) {
+        skipped.push({ file: rel(item.abs), reason: 'Folder without index.md (its parent page)' });
+        continue;
+      }
+      // The pipeline writes a custom slug to the frontmatter and links to it (`doc:<slug>`)
+      const slug = String(page.frontmatter.slug || '').trim() || item.slug;
+      pages.push({ ...page, slug, file: rel(file), category, parent, position: item.position });
+      if (item.isFolder) await collectPages(item.abs, { category, parent: slug });
+    }
+  }
+
+  return { categories, pages, skipped };
+}
+
+/* --------------------------------- utils ---------------------------------- */
+
+/**
+ * Pages (`.md`) and folders of a docs folder with their order slugs, in `_order.yaml` order; entries
+ * the file doesn't list come after, alphabetically. The folder's own `index.md`, `_`-prefixed
+ * and hidden entries (logs, caches, `_order.yaml`) are left out.
+ */
+async function listFolder(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  let order = [];
+  try {
+    order = parseOrderYaml(await fs.readFile(path.join(dir, '_order.yaml'), 'utf8'));
+  } catch {
+    // No _order.yaml
+  }
+
+  return entries
+    .filter((entry) => !/^[_.]/.test(entry.name) && entry.name.toLowerCase() !== 'index.md')
+    .filter((entry) => entry.isDirectory() || (entry.isFile() && /\.md$/i.test(entry.name)))
+    .map((entry) => ({
+      name: entry.name,
+      abs: path.join(dir, entry.name),
+      isFolder: entry.isDirectory(),
+      slug: toOrderSlug(entry.name, !entry.isDirectory()),
+    }))
+    .sort((a, b) => {
+      const ia = order.indexOf(a.slug);
+      const ib = order.indexOf(b.slug);
+      if (ia !== ib && (ia === -1 || ib === -1)) return ia === -1 ? 1 : -1;
+      return ia !== ib ? ia - ib : a.name.localeCompare(b.name);
+    })
+    .map((item, position) => ({ ...item, position }));
+}
+
+async function readPage(abs) {
+  let raw;
+  try {
+    raw = await fs.readFile(abs, 'utf8');
+  } catch {
+    return null;
+  }
+  const { data, content } = matter(raw);
+  return { frontmatter: data || {}, body: content.replace(/^\s*\n/, '') };
+}
+
+/** ReadMe v2 guide body for a page. */
+function pagePayload(page, branch) {
+  const fm = page.frontmatter;
+  const link = fm.type === 'link' ? fm.link || {} : null;
+  return {
+    title: fm.title || page.slug,
+    slug: page.slug,
+    type: link ? 'link' : 'basic',
+    category: { uri: `/branches/${encode(branch)}/categories/guides/${encode(page.category)}` },
+    parent: {
+      uri: page.parent ? `/branches/${encode(branch)}/guides/${encode(page.parent)}` : null,
+    },
+    position: page.position,
+    state: fm.deprecated ? 'deprecated' : 'current',
+    privacy: { view: fm.hidden ? 'anyone_with_link' : 'public' },
+    content: {
+      body: page.body,
+      excerpt: fm.excerpt ?? null,
+      ...(link && { link: { url: link.url ?? null, new_tab: !!link.new_tab } }),
+    },
+    metadata: {
+      title: fm.metadata?.title ?? null,
+      description: fm.metadata?.description ?? null,
+      keywords: fm.metadata?.keywords ?? null,
+    },
+  };
+}
+
+/** Whether a guide from the API differs from what we'd send. */
+function differs(remote, payload) {
+  const pick = (guide) =>
+    JSON.stringify([
+      guide.title,
+      guide.type,
+      guide.category?.uri,
+      guide.parent?.uri ?? null,
+      guide.position,
+      guide.state,
+      guide.privacy?.view,
+      String(guide.content?.body ?? '').trim(),
+      guide.content?.excerpt ?? null,
+      guide.content?.link?.url ?? null,
+      guide.metadata?.title ?? null,
+      guide.metadata?.description ?? null,
+      guide.metadata?.keywords ?? null,
+    ]);
+  return pick(remote) !== pick(payload);
+}
+
+function createClient(apiKey, branch, api) {
+  const settings = { ...DEFAULT_UPLOAD_OPTIONS, ...api };
+  const base = `${String(settings.apiBaseUrl).replace(/\/+$/, '')}/v2/branches/${encode(branch)}`;
+  const call = async (method, pathname, body) => {
+    const res = await fetchWithRetry(
+      base + pathname,
+      () => ({
+        method,
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          ...(body && { 'content-type': 'application/json' }),
+        },
+        body: body && JSON.stringify(body),
+      }),
+      settings,
+      `${method} ${pathname}`,
+    );
+    if (method === 'GET' && res.status === 404) return null;
+    const text = await res.text().catch(() => '');
+    if (!res.ok) {
+      throw new Error(
+        `${method} ${pathname} failed (${res.status} ${res.statusText}): ${text.slice(0, 500)}`,
+      );
+    }
+    try {
+      return text ? JSON.parse(text) : {};
+    } catch {
+      return {};
+    }
+  };
+  return { branch, get: (pathname) => call('GET', pathname), send: call };
+}
+
+function encode(segment) {
+  return encodeURIComponent(segment);
+}
@@ -0,0 +1,371 @@
+// src/sidebars.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parse } from 'acorn';
+
+import { toOrderSlug, sortByPosition } from './utils/ordering.mjs';
+import { stripNumberPrefix } from './sourceDocs.mjs';
+
+/* ========================================================================== */
+/*                       STATIC EVALUATION OF sidebars.js                      */
+/* ========================================================================== */
+
+/**
+ * Load a Docusaurus `sidebars.js` / `sidebars.ts` WITHOUT executing it.
+ *
+ * The file is parsed and its exported value is evaluated statically: object/array
+ * literals, strings, numbers, booleans, spreads and references to top-level constants
+ * are supported. Anything dynamic (function calls, `require`) evaluates to `undefined`
+ * and is reported in `warnings`. `.json` files (`versioned_sidebars/`) are read as is.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{config: Object, warnings: string[]}>}
+ */
+export async function loadSidebars(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  if (/\.json$/i.test(filePath)) {
+    try {
+      return { config: JSON.parse(raw), warnings: [] };
+    } catch (err) {
+      throw new Error(`Could not parse sidebars file ${filePath}: ${err.message}`);
+    }
+  }
+  const source = /\.(c|m)?ts$/i.test(filePath) ? stripTypeScript(raw) : raw;
+
+  let program;
+  try {
+    program = parse(source, { ecmaVersion: 'latest', sourceType: 'module', allowHashBang: true });
+  } catch (err) {
+    throw new Error(`Could not parse sidebars file ${filePath}: ${err.message}`);
+  }
+
+  const warnings = [];
+  const declarations = new Map();
+  let exported = null;
+
+  for (const node of program.body) {
+    const declaration =
+      node.type === 'ExportNamedDeclaration' && node.declaration ? node.declaration : node;
+
+    if (declaration.type === 'VariableDeclaration') {
+      for (const decl of declaration.declarations) {
+        if (decl.id.type === 'Identifier' && decl.init) declarations.set(decl.id.name, decl.init);
+      }
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      exported = node.declaration;
+    } else if (
+      node.type === 'ExpressionStatement' &&
+      node.expression.type === 'AssignmentExpression' &&
+      isModuleExports(node.expression.left)
+    ) {
+      exported = node.expression.right;
+    }
+  }
+
+  if (!exported) throw new Error(`No default export / module.exports found in ${filePath}`);
+
+  const resolving = new Set();
+  const evaluate = (node) => {
+    if (!node) return undefined;
+    switch (node.type) {
+      case 'ObjectExpression': {
+        const out = {};
+        for (const prop of node.properties) {
+          if (prop.type === 'SpreadElement') {
+            Object.assign(out, evaluate(prop.argument));
+          } else if (prop.type === 'Property') {
+            const key = prop.computed
+              ? evaluate(prop.key)
+              : prop.key.type === 'Identifier'
+                ? prop.key.name
+                : prop.key.value;
+            out[key] = evaluate(prop.value);
+          }
+        }
+        return out;
+      }
+      case 'ArrayExpression': {
+        const out = [];
+        for (const element of node.elements) {
+          if (element && element.type === 'SpreadElement') {
+            const spread = evaluate(element.argument);
+            if (Array.isArray(spread)) out.push(...spread);
+          } else {
+            out.push(evaluate(element));
+          }
+        }
+        return out;
+      }
+      case 'Literal':
+        return node.value;
+      case 'TemplateLiteral':
+        return node.quasis
+          .map((quasi, i) =>
+            i < node.expressions.length
+              ? quasi.value.cooked + String(evaluate(node.expressions[i]) ?? '')
+              : quasi.value.cooked,
+          )
+          .join('');
+      case 'Identifier': {
+        if (node.name === 'undefined') return undefined;
+        if (!declarations.has(node.name) || resolving.has(node.name)) {
+          warnings.push(`Unresolved identifier "${node.name}"`);
+          return undefined;
+        }
+        resolving.add(node.name);
+        const value = evaluate(declarations.get(node.name));
+        resolving.delete(node.name);
+        return value;
+      }
+      case 'UnaryExpression': {
+        const value = evaluate(node.argument);
+        if (node.operator === '-') return -value;
+        if (node.operator === '!') return !value;
+        return value;
+      }
+      case 'BinaryExpression':
+        if (node.operator === '+') return evaluate(node.left) + evaluate(node.right);
+        break;
+      default:
+        break;
+    }
+    warnings.push(`Unsupported expression (${node.type}) at offset ${node.start}`);
+    return undefined;
+  };
+
+  const config = evaluate(exported);
+  if (!config || typeof config !== 'object') {
+    throw new Error(`Sidebars file ${filePath} does not export an object.`);
+  }
+  return { config, warnings };
+}
+
+function isModuleExports(node) {
+  return (
+    node.type === 'MemberExpression' &&
+    node.object.type === 'Identifier' &&
+    node.object.name === 'module' &&
+    node.property.type === 'Identifier' &&
+    node.property.name === 'exports'
+  );
+}
+
+/** Remove the TypeScript syntax typically found in sidebars.ts so acorn can parse it. */
+function stripTypeScript(source) {
+  return source
+    .replace(/^\s*import\s+type\b[^;]*;?\s*$/gm, '')
+    .replace(/\b(const|let|var)\s+(\w+)\s*:\s*[\w.<>[\]\s|]+?\s*=/g, '$1 $2 =')
+    .replace(/\s+satisfies\s+[\w.<>[\]]+/g, '')
+    .replace(/\s+as\s+const\b/g, '');
+}
+
+/* ========================================================================== */
+/*                      SIDEBAR → OUTPUT PLACEMENT                             */
+/* ========================================================================== */
+
+/**
+ * @typedef {Object} SidebarPlacement
+ * @property {Map<string, {dir: string, fileName: string}>} byDoc - source relPath → output dir
+ *   (relative to the destination root) and output file name
+ * @property {Map<string, string>} indexTitles - output dir → category label (for index.md)
+ * @property {Map<string, Map<string, number>>} positions - output dir → slug → position
+ * @property {Array<{dir: string, fileName: string, label: string, href: string}>} links
+ * @property {string[]} unresolved - doc ids referenced by the sidebar but not found
+ * @property {string[]} duplicates - doc ids listed more than once (first wins)
+ */
+
+/**
+ * Walk a sidebar config and decide where every referenced doc goes.
+ *
+ * Categories become folders named after their label (literally, like the move-map),
+ * nested categories become nested folders, a category's linked doc becomes its `index.md`,
+ * and item order becomes the `_order.yaml` order.
+ *
+ * @param {Object} config - Result of `loadSidebars()`
+ * @param {Object} opts
+ * @param {import('./sourceDocs.mjs').SourceDoc[]} opts.docs
+ * @param {Map<string, {position: number|null, label: string|null}>} [opts.categories] - `_category_` data
+ * @param {string} [opts.sidebar] - Only use this sidebar (default: all, in file order)
+ * @param {Map<string, string>} [opts.fileNames] - source relPath → output file name, for docs
+ *   not named after their source file
+ * @returns {SidebarPlacement}
+ */
+export function buildSidebarPlacement(
+  config,
+  { docs, categories = new Map(), sidebar, fileNames = new Map() } = {},
+) {
+  const byId = new Map();
+  for (const doc of docs) {
+    if (!byId.has(doc.id)) byId.set(doc.id, doc);
+    // Also accept the unstripped path form (e.g. "guides/01-setup")
+    const rawId = doc.relPath.replace(/\.(md|mdx)$/i, '');
+    if (!byId.has(rawId)) byId.set(rawId, doc);
+  }
+
+  const placement = {
+    byDoc: new Map(),
+    indexTitles: new Map(),
+    positions: new Map(),
+    links: [],
+    unresolved: [],
+    duplicates: [],
+  };
+
+  const nextPosition = new Map(); // dir → running counter
+  const place = (dir, slug) => {
+    const n = nextPosition.get(dir) || 0;
+    nextPosition.set(dir, n + 1);
+    if (!placement.positions.has(dir)) placement.positions.set(dir, new Map());
+    if (!placement.positions.get(dir).has(slug)) placement.positions.get(dir).set(slug, n);
+  };
+
+  const placeDoc = (id, dir, { asIndex = false } = {}) => {
+    const doc = byId.get(id);
+    if (!doc) {
+      placement.unresolved.push(id);
+      return;
+    }
+    if (placement.byDoc.has(doc.relPath)) {
+      placement.duplicates.push(id);
+      return;
+    }
+    const fileName = asIndex
+      ? 'index.md'
+      : fileNames.get(doc.relPath) || path.basename(doc.relPath).replace(/\.mdx$/i, '.md');
+    placement.byDoc.set(doc.relPath, { dir, fileName });
+    if (!asIndex) place(dir, toOrderSlug(fileName, true));
+  };
+
+  const categoryDir = (parentDir, label) => {
+    // `..` or `.` would leave or collapse into the parent folder, `.NET` would be hidden
+    const folderName =
+      String(label || '')
+        .replace(/[/\\]+/g, '-')
+        .replace(/^[\s.]+/, '')
+        .trim() || 'Untitled';
+    return parentDir ? `${parentDir}/${folderName}` : folderName;
+  };
+
+  const walkItems = (items, dir) => {
+    for (const item of normalizeItems(items)) walkItem(item, dir);
+  };
+
+  const walkItem = (item, dir) => {
+    if (typeof item === 'string') return placeDoc(item, dir);
+    if (!item || typeof item !== 'object') return;
+
+    switch (item.type) {
+      case 'doc':
+        return placeDoc(item.id, dir);
+      case 'category': {
+        const subDir = categoryDir(dir, item.label);
+        place(dir, toOrderSlug(path.basename(subDir), false));
+        placement.indexTitles.set(subDir, item.label);
+        if (item.link && item.link.type === 'doc' && item.link.id) {
+          placeDoc(item.link.id, subDir, { asIndex: true });
+        }
+        return walkItems(item.items, subDir);
+      }
+      case 'autogenerated':
+        return walkAutogenerated(item.dirName || '.', dir);
+      case 'link': {
+        const fileName = `${toOrderSlug(String(item.label || 'link'), false)}.md`;
+        placement.links.push({ dir, fileName, label: item.label, href: item.href });
+        return place(dir, toOrderSlug(fileName, true));
+      }
+      default:
+        // 'ref' and 'html' items don't produce pages
+        return undefined;
+    }
+  };
+
+  const walkAutogenerated = (dirName, dir) => {
+    const base = dirName === '.' ? '' : dirName.replace(/^\.?\/+|\/+$/g, '');
+    const inBase = docs.filter((d) => !base || d.relPath.startsWith(`${base}/`));
+    const rel = (d) => (base ? d.relPath.slice(base.length + 1) : d.relPath);
+
+    const walkFolder = (folderRel, outDir) => {
+      const directDocs = inBase.filter((d) => path.posix.dirname(rel(d)) === (folderRel || '.'));
+      const subfolders = new Set(
+        inBase
+          .map((d) => rel(d))
+          .filter((r) => (folderRel ? r.startsWith(`${folderRel}/`) : true))
+          .map((r) => (folderRel ? r.slice(folderRel.length + 1) : r).split('/'))
+          .filter((parts) => parts.length > 1)
+          .map((parts) => parts[0]),
+      );
+
+      const entries = new Map(); // key → { position, kind, value }
+      for (const d of directDocs)
+        entries.set(d.relPath, { position: d.position, kind: 'doc', doc: d });
+      for (const sub of subfolders) {
+        const subRel = folderRel ? `${folderRel}/${sub}` : sub;
+        const category = categories.get(base ? `${base}/${subRel}` : subRel);
+        entries.set(`${sub}/`, {
+          position: category?.position ?? null,
+          kind: 'dir',
+          sub,
+          subRel,
+          category,
+        });
+      }
+
+      const positions = new Map([...entries].map(([key, e]) => [key, e.position]));
+      for (const key of sortByPosition([...entries.keys()], positions)) {
+        const entry = entries.get(key);
+        if (entry.kind === 'doc') {
+          // Skip docs already used as a category index.md
+          if (!placement.byDoc.has(entry.doc.relPath)) placeDoc(entry.doc.id, outDir);
+          continue;
+        }
+        const label = entry.category?.label || stripNumberPrefix(entry.sub);
+        const subDir = categoryDir(outDir, label);
+        place(outDir, toOrderSlug(path.basename(subDir), false));
+        placement.indexTitles.set(subDir, label);
+        // A folder's index.md / README.md becomes the category page
+        const indexDoc = inBase.find((d) =>
+          new RegExp(`^${escapeRegex(entry.subRel)}/(index|readme)\\.mdx?$`, 'i').test(rel(d)),
+        );
+        if (indexDoc) placeDoc(indexDoc.id, subDir, { asIndex: true });
+        walkFolder(entry.subRel, subDir);
+      }
+    };
+
+    walkFolder('', dir);
+  };
+
+  const sidebarNames = sidebar ? [sidebar] : Object.keys(config);
+  for (const name of sidebarNames) {
+    if (!(name in config)) {
+      placement.unresolved.push(`sidebar:${name}`);
+      continue;
+    }
+    walkItems(config[name], '');
+  }
+
+  return placement;
+}
+
+/**
+ * Normalize the sidebar shorthands into a list of items:
+ *  - `{ 'Label': [items] }` objects become `{ type: 'category', label, items }`
+ *  - `{ type: 'doc' }`-less objects with only `id` become docs
+ */
+function normalizeItems(items) {
+  if (!items) return [];
+  if (!Array.isArray(items)) {
+    // Object shorthand at any level: { Label: [ ... ], Other: [ ... ] }
+    return Object.entries(items).map(([label, sub]) => ({ type: 'category', label, items: sub }));
+  }
+  return items.flatMap((item) => {
+    if (item && typeof item === 'object' && !item.type) {
+      if (item.id) return [{ ...item, type: 'doc' }];
+      return normalizeItems(item);
+    }
+    return [item];
+  });
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,60 @@
+// src/sourceDocs.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import matter from 'gray-matter';
+
+import { toPosition } from './utils/ordering.mjs';
+
+/**
+ * @typedef {Object} SourceDoc
+ * @property {string} absolutePath - Absolute source path
+ * @property {string} relPath - Path relative to the source root (always `/`-separated)
+ * @property {string} id - Docusaurus doc id (see `docIdFor`)
+ * @property {number|null} position - `sidebar_position` frontmatter, if numeric
+ * @property {Object} frontmatter - Raw customer frontmatter
+ */
+
+/**
+ * Compute the Docusaurus doc id for a source file (relative to the docs root):
+ * folder segments + frontmatter `id` (or file name), with number prefixes ("01-") removed.
+ */
+export function docIdFor(relPath, frontmatterId) {
+  const segments = relPath.replace(/\\/g, '/').split('/');
+  const fileName = segments.pop().replace(/\.(md|mdx)$/i, '');
+  const last = frontmatterId ? String(frontmatterId) : stripNumberPrefix(fileName);
+  return [...segments.map(stripNumberPrefix), last].join('/');
+}
+
+/** Drop a Docusaurus ordering prefix ("01-intro" → "intro"). */
+export function stripNumberPrefix(segment) {
+  return segment.replace(/^\d+[-_.\s]+(?=.)/, '');
+}
+
+/**
+ * Read the frontmatter of every discovered doc up front, so placement (sidebars) and
+ * cross-doc work (link rewriting) know about all docs before any is converted.
+ *
+ * @param {string} srcRoot
+ * @param {string[]} absolutePaths - Discovered source files
+ * @returns {Promise<SourceDoc[]>}
+ */
+export async function readSourceDocs(srcRoot, absolutePaths) {
+  const docs = [];
+  for (const absolutePath of absolutePaths) {
+    const relPath = path.relative(srcRoot, absolutePath).replace(/\\/g, '/');
+    let data = {};
+    try {
+      data = matter(await fs.readFile(absolutePath, 'utf8')).data || {};
+    } catch {
+      // Unreadable docs simply get the default id and no position
+    }
+    docs.push({
+      absolutePath,
+      relPath,
+      id: docIdFor(relPath, data.id),
+      position: toPosition(data.sidebar_position),
+      frontmatter: data,
+    });
+  }
+  return docs;
+}
@@ -1,44 +1,158 @@
-export function convertNoteTipBlocks(text) {
-  const noteRe = /^:::note[^\n]*\n([\s\S]*?)\n:::\s*$/gim;
-  const tipRe = /^:::tip[^\n]*\n([\s\S]*?)\n:::\s*$/gim;
-  const infoRe = /^:::info[^\n]*\n([\s\S]*?)\n:::\s*$/gim;
-
-  const toCallout = (inner, kind) => {
-    const body = inner.trim();
-    if (kind === 'note') {
-      return [
-        `<Callout icon="📘" theme="info">`,
-        `  **NOTE**`,
-        ``,
-        indentBlock(body, '  '),
-        `</Callout>`,
-      ].join('\n');
-    }
-    if (kind === 'tip') {
-      return [
-        `<Callout icon="👍" theme="okay">`,
-        `  Tip`,
-        ``,
-        indentBlock(body, '  '),
-        `</Callout>`,
-      ].join('\n');
-    }
-    return [
-      `<Callout icon="ℹ️" theme="info">`,
-      `  ${indentBlock(body, '  ').trimStart()}`,
-      `</Callout>`,
-    ].join('\n');
-  };
+// src/transform/callouts.mjs
+import { directive } from 'micromark-extension-directive';
+import { directiveFromMarkdown } from 'mdast-util-directive';
+import { visit, SKIP } from 'unist-util-visit';
+
+/**
+ * Docusaurus admonition type → ReadMe `<Callout>` icon/theme and the title Docusaurus shows
+ * when none is given. `caution` and `important` are Docusaurus v3 aliases; `success` and
+ * `secondary` come from v2.
+ */
+export const ADMONITION_CALLOUTS = {
+  note: { icon: '📘', theme: 'info', title: 'Note' },
+  tip: { icon: '👍', theme: 'okay', title: 'Tip' },
+  info: { icon: 'ℹ️', theme: 'info', title: 'Info' },
+  important: { icon: '❗️', theme: 'info', title: 'Important' },
+  success: { icon: '👍', theme: 'okay', title: 'Success' },
+  warning: { icon: '🚧', theme: 'warn', title: 'Warning' },
+  caution: { icon: '🚧', theme: 'warn', title: 'Caution' },
+  danger: { icon: '❗️', theme: 'error', title: 'Danger' },
+  secondary: { icon: '📘', theme: 'default', title: 'Note' },
+};
+
+const UNKNOWN_CALLOUT = { icon: '📘', theme: 'default' };
 
-  let out = text.replace(infoRe, (_, inner) => toCallout(inner, 'info'));
-  out = out.replace(tipRe, (_, inner) => toCallout(inner, 'tip'));
-  out = out.replace(noteRe, (_, inner) => toCallout(inner, 'note'));
-  return out;
+/** Themes ReadMe's `<Callout>` accepts. */
+export const CALLOUT_THEMES = Object.freeze(['info', 'okay', 'warn', 'error', 'default']);
+
+/**
+ * Merge per-type overrides (`calloutThemes` in the config file) over `ADMONITION_CALLOUTS`.
+ * An override may set any of `icon`, `theme` and `title`; a type that isn't built in starts
+ * from the unknown-type callout, so it is no longer reported as unknown.
+ *
+ * @param {Object<string, {icon?: string, theme?: string, title?: string}>|null} [overrides]
+ * @returns {Object<string, {icon: string, theme: string, title?: string}>}
+ */
+export function resolveCalloutThemes(overrides) {
+  const callouts = { ...ADMONITION_CALLOUTS };
+  for (const [type, override] of Object.entries(overrides || {})) {
+    const key = type.toLowerCase();
+    callouts[key] = { ...(callouts[key] || UNKNOWN_CALLOUT), ...override };
+  }
+  return callouts;
 }
 
-export function indentBlock(s, pad = '  ') {
-  return String(s)
-    .split(/\r?\n/)
-    .map(line => (line.length ? pad + line : ''))
+/**
+ * Rewrite the Docusaurus shorthand `:::tip My Title` to directive syntax (`:::tip[My Title]`)
+ * so the directive parser picks the title up as the label. Fenced code is left alone.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeAdmonitionTitles(text) {
+  let fence = null;
+  return String(text)
+    .split('\n')
+    .map((line) => {
+      const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+      if (fenceMatch) {
+        const marker = fenceMatch[1];
+        if (!fence) fence = marker;
+        else if (marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+        return line;
+      }
+      if (fence) return line;
+
+      return line.replace(
+        /^(\s*(?:>\s*)*:{3,})([A-Za-z][\w-]*)[ \t]+([^[{\s][^\n]*?)\s*$/,
+        (_whole, opener, type, title) => `${opener}${type}[${title.replace(/[[\]]/g, '\\$&')}]`,
+      );
+    })
     .join('\n');
 }
+
+/**
+ * Parse `:::type` container directives (remark-directive style) so admonitions nest with
+ * longer fences (`::::`) and work inside lists, blockquotes and JSX such as `<TabItem>`.
+ *
+ * Only the parser side is registered: leaf/text directives that are not admonitions are
+ * turned back into their source text by `remarkAdmonitionsToCallouts`, so `key:value` prose
+ * round-trips unchanged.
+ */
+export function remarkDirectiveSyntax() {
+  const data = this.data();
+  (data.micromarkExtensions ||= []).push(directive());
+  (data.fromMarkdownExtensions ||= []).push(directiveFromMarkdown());
+}
+
+/**
+ * Convert admonition container directives into ReadMe `<Callout icon theme>` elements. The
+ * custom title (label or `title` attribute) becomes the callout heading, falling back to the
+ * Docusaurus default title for the type (an empty `title` attribute leaves the heading out). Unknown types become a `default` callout and are
+ * reported through `unknown`.
+ *
+ * @param {Object} [opts]
+ * @param {string[]} [opts.unknown] - Collects unknown admonition types (`:::type` as written)
+ * @param {Object} [opts.callouts=ADMONITION_CALLOUTS] - Type → callout (see `resolveCalloutThemes`)
+ */
+export function remarkAdmonitionsToCallouts({ unknown = [], callouts = ADMONITION_CALLOUTS } = {}) {
+  return (tree, file) => {
+    const source = String(file?.value ?? '');
+
+    visit(tree, (node, index, parent) => {
+      if (!parent || index === undefined) return;
+
+      if (node.type === 'textDirective' || node.type === 'leafDirective') {
+        const raw =
+          sliceSource(source, node) ?? `${node.type === 'leafDirective' ? '::' : ':'}${node.name}`;
+        const text = { type: 'text', value: raw };
+        parent.children[index] =
+          node.type === 'leafDirective' ? { type: 'paragraph', children: [text] } : text;
+        return SKIP;
+      }
+
+      if (node.type !== 'containerDirective') return;
+
+      const type = String(node.name || '').toLowerCase();
+      const known = Object.hasOwn(callouts, type);
+      if (!known) unknown.push(`:::${node.name}`);
+      const { icon, theme, title: defaultTitle } = known ? callouts[type] : UNKNOWN_CALLOUT;
+
+      const children = [...(node.children || [])];
+      let titleChildren = null;
+      if (children[0]?.data?.directiveLabel) {
+        titleChildren = children.shift().children;
+      } else if (typeof node.attributes?.title === 'string') {
+        // An explicitly empty title (`{title=""}`) means no heading at all
+        const title = node.attributes.title.trim();
+        if (title) titleChildren = [{ type: 'text', value: title }];
+      } else if (defaultTitle) {
+        titleChildren = [{ type: 'text', value: defaultTitle }];
+      }
+
+      const body = [];
+      if (titleChildren?.length) body.push({ type: 'heading', depth: 3, children: titleChildren });
+      body.push(...children);
+
+      parent.children[index] = {
+        type: 'mdxJsxFlowElement',
+        name: 'Callout',
+        attributes: [
+          { type: 'mdxJsxAttribute', name: 'icon', value: icon },
+          { type: 'mdxJsxAttribute', name: 'theme', value: theme },
+        ],
+        children: body,
+        position: node.position,
+      };
+      // Keep walking into the callout so nested admonitions are converted too
+      return index;
+    });
+  };
+}
+
+function sliceSource(source, node) {
+  const start = node.position?.start?.offset;
+  const end = node.position?.end?.offset;
+  if (typeof start !== 'number' || typeof end !== 'number' || !source) return null;
+  return source.slice(start, end);
+}
@@ -0,0 +1,271 @@
+// src/transform/codeBlocks.mjs
+import { visit, SKIP } from 'unist-util-visit';
+
+/**
+ * Turn Docusaurus `<CodeBlock language="js" title="…">{`…`}</CodeBlock>` into a plain fence
+ * (title and line options go into the fence meta, for `remarkCodeFences` to convert).
+ *
+ * Runs before MDX components are collected for the log, so converted blocks are not reported
+ * as removed. Blocks whose code is not static text are left alone and reported.
+ *
+ * @param {Object} [opts]
+ * @param {Array<{line: number|null, reason: string}>} [opts.unsupported]
+ */
+export function remarkCodeBlockComponents({ unsupported = [] } = {}) {
+  return (tree, file) => {
+    const source = String(file);
+
+    visit(tree, (node, index, parent) => {
+      if (!parent || index == null) return;
+
+      // `<CodeBlock>{`…`}</CodeBlock>` on one line sits inside a paragraph
+      let element = node;
+      if (node.type === 'paragraph') {
+        const meaningful = node.children.filter((child) => !isBlankText(child));
+        if (meaningful.length !== 1 || !isCodeBlock(meaningful[0])) return;
+        element = meaningful[0];
+      } else if (!isCodeBlock(node)) return;
+
+      const line = element.position?.start?.line ?? null;
+      const value = staticCode(element.children || [], source);
+      if (value == null) {
+        unsupported.push({
+          line,
+          reason: '<CodeBlock> content is not static text; left as written',
+        });
+        return SKIP;
+      }
+
+      const meta = [];
+      const title = stringAttribute(element, 'title');
+      if (title) meta.push(`title="${title}"`);
+      const metastring = stringAttribute(element, 'metastring');
+      if (metastring) meta.push(metastring);
+      if (hasAttribute(element, 'showLineNumbers')) meta.push('showLineNumbers');
+
+      parent.children[index] = {
+        type: 'code',
+        lang: stringAttribute(element, 'language') || null,
+        meta: meta.join(' ') || null,
+        value,
+        position: node.position,
+      };
+      return SKIP;
+    });
+  };
+}
+
+/**
+ * Rewrite fence metadata for ReadMe, and merge code that reads as a language switcher into
+ * ReadMe multi-language code blocks.
+ *
+ * - `title="app.js"` becomes ReadMe's ```` ```js app.js ```` (a fence with a title but no
+ *   language gets `text`). Line highlights (`{1,4-6}`, `// highlight-next-line` comments)
+ *   and `showLineNumbers` have no ReadMe equivalent: they are dropped and reported.
+ * - Two or more adjacent untitled fences with distinct languages (the same snippet in
+ *   several languages) are written with no blank line between them, which ReadMe shows as
+ *   one block with a tab per language. Titled fences are separate files and stay apart.
+ * - A `<Tabs>` whose every tab holds exactly one fence becomes such a block as well, each
+ *   tab title becoming the fence title. Run after `remarkDocusaurusTabs`. Inside JSX
+ *   (e.g. another tab) code is never grouped, as JSX children are always blank-line separated.
+ * - Meta that is not Docusaurus syntax (e.g. an existing ReadMe title) is kept as it is.
+ *
+ * @param {Object} [opts]
+ * @param {Array<{line: number|null, reason: string}>} [opts.unsupported]
+ */
+export function remarkCodeFences({ unsupported = [] } = {}) {
+  const data = this.data();
+  (data.toMarkdownExtensions ||= []).push({
+    // No blank line between the fences of one group, so ReadMe reads them as one block
+    join: [(left, right) => (isGrouped(left, right) ? 0 : undefined)],
+  });
+
+  return (tree) => {
+    let group = 0;
+
+    visit(tree, 'code', (node) => {
+      convertFenceMeta(node, unsupported);
+    });
+
+    visit(tree, (node, index, parent) => {
+      if (!parent || index == null || !canGroupIn(parent)) return;
+      if (node.type !== 'mdxJsxFlowElement' || node.name !== 'Tabs') return;
+
+      const fences = [];
+      for (const tab of node.children || []) {
+        if (tab.type !== 'mdxJsxFlowElement' || tab.name !== 'Tab') return;
+        const blocks = (tab.children || []).filter((child) => child.type !== 'mdxFlowExpression');
+        if (blocks.length !== 1 || blocks[0].type !== 'code' || !blocks[0].lang) return;
+        const title = stringAttribute(tab, 'title');
+        fences.push({ ...blocks[0], meta: title || blocks[0].meta });
+      }
+      if (fences.length < 2) return;
+
+      group++;
+      for (const fence of fences) fence.data = { ...fence.data, codeGroup: group };
+      parent.children.splice(index, 1, ...fences);
+      return [SKIP, index + fences.length];
+    });
+
+    visit(tree, (node) => {
+      const children = node.children;
+      if (!Array.isArray(children) || !canGroupIn(node)) return;
+
+      for (let start = 0; start < children.length;) {
+        let end = start;
+        const langs = new Set();
+        while (
+          end < children.length &&
+          children[end].type === 'code' &&
+          children[end].lang &&
+          !children[end].meta &&
+          !children[end].data?.codeGroup &&
+          !langs.has(children[end].lang)
+        ) {
+          langs.add(children[end].lang);
+          end++;
+        }
+        if (end - start >= 2) {
+          group++;
+          for (let i = start; i < end; i++) {
+            children[i].data = { ...children[i].data, codeGroup: group };
+          }
+        }
+        start = Math.max(end, start + 1);
+      }
+    });
+  };
+}
+
+/* --------------------------------- helpers -------------------------------- */
+
+// `title="…"`/`title='…'`, `{1,4-6}`, `showLineNumbers` / `showLineNumbers=5`
+const TITLE_META = /(?:^|\s)title=(?:"([^"]*)"|'([^']*)')/;
+const HIGHLIGHT_META = /(?:^|\s)(\{[\d\s,-]+\})/;
+const LINE_NUMBERS_META = /(?:^|\s)showLineNumbers(?:=\d+)?(?=\s|$)/;
+const MAGIC_COMMENT =
+  /^\s*(?:\/\/|#|--|<!--|\/\*|\{\/\*)\s*highlight-(?:next-line|start|end)\s*(?:-->|\*\/\}?|\*\/)?\s*$/;
+
+function convertFenceMeta(node, unsupported) {
+  const line = node.position?.start?.line ?? null;
+
+  const lines = String(node.value).split('\n');
+  const kept = lines.filter((text) => !MAGIC_COMMENT.test(text));
+  if (kept.length !== lines.length) {
+    node.value = kept.join('\n');
+    unsupported.push({ line, reason: 'highlight comments removed (no line highlighting)' });
+  }
+
+  let meta = node.meta || '';
+  // ```title="notes" (no language): the parser took the first word for the language
+  if (node.lang && /[={]/.test(node.lang)) {
+    meta = `${node.lang} ${meta}`.trim();
+    node.lang = null;
+  }
+  const title = TITLE_META.exec(meta);
+  const highlight = HIGHLIGHT_META.exec(meta);
+  const lineNumbers = LINE_NUMBERS_META.exec(meta);
+  // Not Docusaurus meta: leave it for ReadMe (it reads it as the title)
+  if (!title && !highlight && !lineNumbers) return;
+
+  if (highlight) {
+    unsupported.push({ line, reason: `line highlights ${highlight[1]} dropped` });
+    meta = meta.replace(highlight[0], ' ');
+  }
+  if (lineNumbers) {
+    unsupported.push({ line, reason: `${lineNumbers[0].trim()} dropped` });
+    meta = meta.replace(lineNumbers[0], ' ');
+  }
+  if (title) meta = meta.replace(title[0], ' ');
+  if (meta.trim()) {
+    unsupported.push({ line, reason: `code block option "${meta.trim()}" dropped` });
+  }
+
+  const titleText = title ? (title[1] ?? title[2]).trim() : '';
+  node.meta = titleText || null;
+  if (titleText && !node.lang) node.lang = 'text';
+}
+
+function isGrouped(left, right) {
+  return (
+    left.type === 'code' &&
+    right.type === 'code' &&
+    left.data?.codeGroup != null &&
+    left.data.codeGroup === right.data?.codeGroup
+  );
+}
+
+/** JSX elements always put a blank line between their children, which would split a group. */
+function canGroupIn(parent) {
+  return parent.type !== 'mdxJsxFlowElement';
+}
+
+function isCodeBlock(node) {
+  return (
+    (node?.type === 'mdxJsxFlowElement' || node?.type === 'mdxJsxTextElement') &&
+    node.name === 'CodeBlock'
+  );
+}
+
+function isBlankText(node) {
+  return node?.type === 'text' && !node.value.trim();
+}
+
+function attribute(node, name) {
+  return (node.attributes || []).find(
+    (attr) => attr.type === 'mdxJsxAttribute' && attr.name === name,
+  );
+}
+
+function hasAttribute(node, name) {
+  const attr = attribute(node, name);
+  return Boolean(attr) && (attr.value == null || expressionOf(attr.value)?.value !== false);
+}
+
+function stringAttribute(node, name) {
+  const attr = attribute(node, name);
+  if (!attr) return '';
+  if (typeof attr.value === 'string') return attr.value.trim();
+  return (staticString(expressionOf(attr.value)) ?? '').trim();
+}
+
+/** Parsed expression of a `{…}` value or child, when there is one. */
+function expressionOf(node) {
+  const statement = node?.data?.estree?.body?.[0];
+  return statement?.type === 'ExpressionStatement' ? statement.expression : null;
+}
+
+/** `'x'` or a template without `${}` → its text; anything else → null. */
+function staticString(expression) {
+  if (expression?.type === 'Literal' && typeof expression.value === 'string') {
+    return expression.value;
+  }
+  if (expression?.type === 'TemplateLiteral' && !expression.expressions.length) {
+    return expression.quasis.map((quasi) => quasi.value.cooked).join('');
+  }
+  return null;
+}
+
+/** Code of a `<CodeBlock>`: a static `{…}` string, or plain text children. */
+function staticCode(children, source) {
+  const meaningful = children.filter((child) => !isBlankText(child));
+  if (!meaningful.length) return null;
+
+  if (meaningful.length === 1 && /^mdx(?:Flow|Text)Expression$/.test(meaningful[0].type)) {
+    let code = staticString(expressionOf(meaningful[0]));
+    if (code == null) return null;
+    // The parser strips the indentation of expression lines; take templates from the source
+    const { start, end } = meaningful[0].position || {};
+    const raw = /^\{\s*`([\s\S]*)`\s*\}$/.exec(source.slice(start?.offset, end?.offset));
+    if (raw && start?.offset != null) code = raw[1].replace(/\\([`\\$])/g, '$1');
+    return code.replace(/^\n+|\s+$/g, '');
+  }
+
+  const paragraphs = [];
+  for (const child of meaningful) {
+    const inline = child.type === 'paragraph' ? child.children : [child];
+    if (!inline.every((part) => part.type === 'text')) return null;
+    paragraphs.push(inline.map((part) => part.value).join(''));
+  }
+  return paragraphs.join('\n\n').trim();
+}
@@ -0,0 +1,48 @@
+// src/transform/comments.mjs
+
+/**
+ * Rewrite HTML comments and `<!` declarations before the MDX parser sees them, since it
+ * rejects both. `<!-- note -->` becomes the MDX comment `{/* note *\/}` and `<!DOCTYPE html>`
+ * is escaped to `&lt;!DOCTYPE html>` so it stays visible as text. Comments keep their line
+ * breaks, so line numbers found by the parser still match the input. Fenced code and inline
+ * code spans are left alone.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function convertHtmlComments(text) {
+  const out = [];
+  let chunk = [];
+  let fence = null;
+  const flush = () => {
+    if (chunk.length) out.push(rewriteChunk(chunk.join('\n')));
+    chunk = [];
+  };
+
+  for (const line of String(text).split('\n')) {
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch && !fence) {
+      flush();
+      fence = fenceMatch[1];
+      out.push(line);
+    } else if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      out.push(line);
+    } else {
+      chunk.push(line);
+    }
+  }
+  flush();
+  return out.join('\n');
+}
+
+function rewriteChunk(text) {
+  return text.replace(/(`+)[^\n]*?\1|<!--([\s\S]*?)-->|<!/g, (match, ticks, comment) => {
+    if (ticks) return match;
+    // `*/` would end the JS comment early
+    if (comment !== undefined) return `{/*${comment.replace(/\*\//g, '* /')}*/}`;
+    return '&lt;!';
+  });
+}
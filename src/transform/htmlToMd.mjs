@@ -1,91 +1,234 @@
-import { visit } from 'unist-util-visit';
-
-export function remarkConvertSelectedHtmlToMd(options = {}) {
-  const { keepHtmlIf, recordRaw } = options;
-  return tree => {
-    visit(tree, 'html', (node, index, parent) => {
-      if (!parent || index == null) return;
-      const raw = String(node.value || '');
-      if (typeof keepHtmlIf === 'function' && keepHtmlIf(raw)) return;
-
-      const html = raw.replace(/\r\n?/g, '\n');
-      let changed = false;
-      let out = html;
-
-      out = out.replace(
-        /<\s*h([1-6])\s*>\s*([\s\S]*?)\s*<\s*\/\s*h\1\s*>\s*/gi,
-        (_, n, inner) => {
-          changed = true;
-          return `${'#'.repeat(Number(n))} ${stripTags(inner).trim()}\n\n`;
-        }
-      );
-
-      out = out.replace(
-        /<\s*p\s*>\s*([\s\S]*?)\s*<\s*\/\s*p\s*>\s*/gi,
-        (_, inner) => {
-          changed = true;
-          return `${stripTags(inner).trim()}\n\n`;
-        }
-      );
-
-      out = out.replace(/<\s*br\s*\/?\s*>\s*/gi, () => {
-        changed = true;
-        return '  \n';
-      });
+// src/transform/htmlToMd.mjs
+import { toMdast } from 'hast-util-to-mdast';
+import { visit, SKIP } from 'unist-util-visit';
+
+/**
+ * What happens to an HTML element written in a doc:
+ * - `convert`: becomes Markdown (`<strong>` → `**…**`, `<ul>` → a list, …)
+ * - `keep`: stays as HTML, with its content still converted
+ * - `unwrap`: the tags go, the content stays
+ * - `remove`: the element goes, content and all
+ */
+export const HTML_ACTIONS = Object.freeze(['convert', 'keep', 'unwrap', 'remove']);
+
+/**
+ * Built-in policy per tag. Tags not listed are kept: ReadMe renders HTML, so leaving an element
+ * alone is never wrong, only less tidy. Table parts are kept: tables are converted before
+ * parsing (see transform/tables.mjs), some into `<Table>` markup that uses them.
+ */
+export const DEFAULT_HTML_POLICY = Object.freeze({
+  ...Object.fromEntries(
+    [
+      ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote'],
+      ...['strong', 'b', 'em', 'i', 'del', 's', 'strike', 'a', 'img', 'code', 'pre'],
+      ...['ul', 'ol', 'li'],
+    ].map((tag) => [tag, 'convert']),
+  ),
+  ...Object.fromEntries(
+    [
+      ...['sup', 'sub', 'kbd', 'u', 'mark', 'abbr', 'details', 'summary'],
+      ...['table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption'],
+    ].map((tag) => [tag, 'keep']),
+  ),
+});
+
+/** Tags that sit inside a line of text; the rest start a block. */
+const PHRASING_TAGS = new Set([
+  ...['a', 'abbr', 'b', 'br', 'cite', 'code', 'del', 'dfn', 'em', 'i', 'img', 'ins', 'kbd'],
+  ...['mark', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'time'],
+  ...['u', 'var', 'wbr'],
+]);
+
+/** Tags that start a block but hold only a line of text. */
+const TEXT_BLOCK_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'summary', 'caption']);
+
+/** mdast node types that sit inside a paragraph. */
+const PHRASING_TYPES = new Set(
+  ['text', 'emphasis', 'strong', 'delete', 'inlineCode', 'link', 'image', 'break'].concat(
+    ['linkReference', 'imageReference', 'footnoteReference', 'mdxJsxTextElement'],
+    ['mdxTextExpression', 'textDirective', 'html'],
+  ),
+);
+
+/**
+ * Merge per-tag overrides (`htmlPolicy` in the config file) over `DEFAULT_HTML_POLICY`.
+ *
+ * @param {Object<string, 'convert'|'keep'|'unwrap'|'remove'>|null} [overrides]
+ * @returns {Object<string, 'convert'|'keep'|'unwrap'|'remove'>}
+ */
+export function resolveHtmlPolicy(overrides) {
+  const policy = { ...DEFAULT_HTML_POLICY };
+  for (const [tag, action] of Object.entries(overrides || {})) policy[tag.toLowerCase()] = action;
+  return policy;
+}
 
-      out = out.replace(
-        /<\s*(b|strong)\s*>\s*([\s\S]*?)\s*<\s*\/\s*(b|strong)\s*>\s*/gi,
-        (_, _t1, inner) => {
-          changed = true;
-          return `**${stripTags(inner).trim()}**`;
-        }
-      );
-
-      out = out.replace(
-        /<\s*(i|em)\s*>\s*([\s\S]*?)\s*<\s*\/\s*(i|em)\s*>\s*/gi,
-        (_, _t1, inner) => {
-          changed = true;
-          return `*${stripTags(inner).trim()}*`;
-        }
-      );
-
-      out = out.replace(
-        /<\s*ul\s*>\s*([\s\S]*?)\s*<\s*\/\s*ul\s*>\s*/gi,
-        (_, inner) => {
-          const items = Array.from(
-            inner.matchAll(/<\s*li\s*>\s*([\s\S]*?)\s*<\s*\/\s*li\s*>/gi)
-          ).map(m => m[1]);
-          if (!items.length) return _;
-          changed = true;
-          return (
-            items.map(it => `- ${stripTags(it).trim()}`).join('\n') + '\n\n'
-          );
-        }
-      );
-
-      out = out.replace(
-        /<\s*ol\s*>\s*([\s\S]*?)\s*<\s*\/\s*ol\s*>\s*/gi,
-        (_, inner) => {
-          const items = Array.from(
-            inner.matchAll(/<\s*li\s*>\s*([\s\S]*?)\s*<\s*\/\s*li\s*>/gi)
-          ).map(m => m[1]);
-          if (!items.length) return _;
-          changed = true;
-          return (
-            items
-              .map((it, i) => `${i + 1}. ${stripTags(it).trim()}`)
-              .join('\n') + '\n\n'
-          );
-        }
-      );
-
-      if (!changed) return;
-      if (typeof recordRaw === 'function') recordRaw(raw);
-      parent.children.splice(index, 1, { type: 'text', value: out });
+/**
+ * Convert HTML elements to Markdown. MDX parses `<p>`, `<ul>` and friends as JSX elements with
+ * lowercase names; each one the policy doesn't keep is turned into hast (Markdown written inside
+ * it is carried along untouched) and back into mdast with `hast-util-to-mdast`, so nesting,
+ * attributes like `href`/`src`/`alt` and `language-*` classes on code survive. Kept elements
+ * stay JSX but their content is still converted. Elements with `{expression}` or spread
+ * attributes are left alone, as they can't be written as Markdown.
+ *
+ * @param {Object} [opts]
+ * @param {Object<string, string>} [opts.policy=DEFAULT_HTML_POLICY] - Tag → action (see
+ *   `resolveHtmlPolicy`)
+ * @param {(raw: string) => void} [opts.recordRaw] - Called with the source of each converted
+ *   element
+ * @param {string[]} [opts.images] - Collects the `src` of each `<img>` turned into an image
+ */
+export function remarkHtmlToMarkdown({ policy = DEFAULT_HTML_POLICY, recordRaw, images } = {}) {
+  return (tree, file) => {
+    convertWithin(tree, {
+      actionOf: (node) => policy[node.name.toLowerCase()] || 'keep',
+      handlers: {},
+      source: String(file?.value ?? ''),
+      recordRaw,
+      images,
     });
   };
 }
 
-function stripTags(s) {
-  return String(s).replace(/<[^>]+>/g, '');
+/* --------------------------------- utils ---------------------------------- */
+
+/** Handlers for `hast-util-to-mdast`, by action; `convert` uses the built-in ones. */
+const ELEMENT_HANDLERS = {
+  keep: keepElement,
+  unwrap: (state, node) => state.all(node),
+  remove: () => undefined,
+};
+
+function convertWithin(tree, ctx) {
+  const convertible = (node) =>
+    isHtml(node) && hasLiteralAttributes(node) && ctx.actionOf(node) !== 'keep';
+
+  visit(tree, (node, index, parent) => {
+    if (!parent || index === undefined) return;
+    // A pipe table row is one line, so a line break in a cell stays `<br />`
+    if (node.type === 'tableCell') {
+      convertWithin(node, {
+        ...ctx,
+        actionOf: (child) => (child.name.toLowerCase() === 'br' ? 'keep' : ctx.actionOf(child)),
+        handlers: {},
+      });
+      return SKIP;
+    }
+    const converts =
+      node.type === 'paragraph'
+        ? node.children.some((child) => isBlock(child) && convertible(child))
+        : convertible(node);
+    if (!converts) return;
+
+    const hast = { type: 'root', children: [].concat(toHast(node, ctx)) };
+    const converted = toMdast(hast, {
+      handlers: ctx.handlers,
+      nodeHandlers: { mdast: (_state, wrapped) => wrapped.node },
+    }).children;
+    // An element inside a line of text stays inside it; one on its own line becomes blocks
+    const inline = node.type === 'mdxJsxTextElement' && !isBlock(node);
+    const replacement = inline
+      ? converted.flatMap((child) => (child.type === 'paragraph' ? child.children : [child]))
+      : wrapPhrasing(converted);
+
+    if (typeof ctx.recordRaw === 'function' && node.position) {
+      ctx.recordRaw(ctx.source.slice(node.position.start.offset, node.position.end.offset));
+    }
+    if (ctx.images) {
+      visit({ type: 'root', children: replacement }, 'image', (image) => {
+        ctx.images.push(image.url);
+      });
+    }
+
+    parent.children.splice(index, 1, ...replacement);
+    return [SKIP, index + replacement.length];
+  });
+}
+
+/**
+ * mdast that may hold HTML elements → hast. Anything that isn't HTML is converted within and
+ * then carried through as an opaque `mdast` node.
+ */
+function toHast(node, ctx) {
+  if (node.type === 'text') return { type: 'text', value: node.value };
+  if (isHtml(node) && hasLiteralAttributes(node)) {
+    const tagName = node.name.toLowerCase();
+    const action = ctx.actionOf(node);
+    if (action !== 'convert') ctx.handlers[tagName] = ELEMENT_HANDLERS[action];
+    // Text written on lines of its own inside `<p>` is a paragraph in MDX
+    const holdsText = PHRASING_TAGS.has(tagName) || TEXT_BLOCK_TAGS.has(tagName);
+    const children = node.children.flatMap((child) =>
+      holdsText && child.type === 'paragraph' ? child.children : [child],
+    );
+    return {
+      type: 'element',
+      tagName,
+      properties: propertiesOf(node.attributes),
+      children: children.flatMap((child) => toHast(child, ctx)),
+      data: { jsx: node },
+    };
+  }
+  // MDX wraps an element written on one line in a paragraph of its own
+  if (node.type === 'paragraph') {
+    const children = node.children.flatMap((child) => toHast(child, ctx));
+    if (node.children.some(isBlock)) return children;
+    return { type: 'element', tagName: 'p', properties: {}, children };
+  }
+  convertWithin(node, ctx);
+  return { type: 'mdast', node };
+}
+
+/** Back to a JSX element, as written, around the converted content. */
+function keepElement(state, node) {
+  const holdsText = PHRASING_TAGS.has(node.tagName) || TEXT_BLOCK_TAGS.has(node.tagName);
+  return {
+    type: holdsText ? 'mdxJsxTextElement' : 'mdxJsxFlowElement',
+    name: node.data.jsx.name,
+    attributes: node.data.jsx.attributes,
+    children: holdsText ? state.all(node) : state.toFlow(state.all(node)),
+  };
+}
+
+/** Runs of phrasing content between blocks go in paragraphs. */
+function wrapPhrasing(nodes) {
+  const blocks = [];
+  for (const node of nodes) {
+    if (!PHRASING_TYPES.has(node.type)) blocks.push(node);
+    else if (blocks.at(-1)?.data?.wrapped) blocks.at(-1).children.push(node);
+    else blocks.push({ type: 'paragraph', children: [node], data: { wrapped: true } });
+  }
+  for (const block of blocks) if (block.data?.wrapped) delete block.data;
+  return blocks;
+}
+
+function isBlock(node) {
+  return isHtml(node) && !PHRASING_TAGS.has(node.name.toLowerCase());
+}
+
+function isHtml(node) {
+  return (
+    (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') &&
+    /^[a-z][a-z0-9]*$/.test(node.name || '')
+  );
+}
+
+function hasLiteralAttributes(node) {
+  return (node.attributes || []).every(
+    (attribute) =>
+      attribute.type === 'mdxJsxAttribute' &&
+      (attribute.value === null || typeof attribute.value === 'string'),
+  );
+}
+
+/** JSX attributes → hast properties, as far as `hast-util-to-mdast` reads them. */
+function propertiesOf(attributes) {
+  const properties = {};
+  for (const { name, value } of attributes) {
+    if (name === 'class' || name === 'className') {
+      properties.className = String(value || '')
+        .split(/\s+/)
+        .filter(Boolean);
+    } else if (name === 'start') properties.start = Number(value);
+    else properties[name] = value === null ? true : value;
+  }
+  return properties;
 }
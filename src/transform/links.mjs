@@ -0,0 +1,245 @@
+// src/transform/links.mjs
+import path from 'node:path';
+import { visit } from 'unist-util-visit';
+
+const DOC_EXTENSIONS = new Set(['', '.md', '.mdx']);
+
+/**
+ * Build a resolver that maps a link target found in a source doc to the migrated
+ * ReadMe location of the doc it points at.
+ *
+ * Understands relative file links (`../guides/setup.md`, `./install#linux`), Docusaurus doc ids
+ * (`guides/setup`), site paths (`/docs/guides/setup`) and customer `slug` frontmatter.
+ *
+ * @param {Object} opts
+ * @param {import('../sourceDocs.mjs').SourceDoc[]} opts.docs - All discovered source docs
+ * @param {Map<string, string>} opts.slugs - source relPath → ReadMe slug of its output
+ * @param {'doc'|'path'} [opts.linkStyle='doc'] - `doc:slug` or `<linkBasePath>/slug`
+ * @param {string} [opts.linkBasePath='/docs'] - Prefix for the `path` style
+ * @param {string[]} [opts.routeBasePaths=['docs']] - Docusaurus route prefixes to strip from site paths
+ * @param {string} [opts.srcRoot] - Absolute source root, so `../docs/x.md` style links that leave
+ *   and re-enter the root still resolve
+ * @param {LinkedVersion[]} [opts.versions=[]] - Other versions of the docs. Site paths under
+ *   their route, and file links into their folder, point at the doc in that version
+ * @returns {(href: string, fromRelPath: string) => ({status: 'skip'} |
+ *   {status: 'rewritten', href: string, version?: string} | {status: 'broken'})}
+ */
+export function createDocLinkResolver({
+  docs,
+  slugs,
+  linkStyle = 'doc',
+  linkBasePath = '/docs',
+  routeBasePaths = ['docs'],
+  srcRoot,
+  versions = [],
+}) {
+  const byRelPath = new Map();
+  const byId = new Map();
+  const bySitePath = new Map();
+
+  for (const doc of docs) {
+    byRelPath.set(doc.relPath.toLowerCase(), doc);
+    if (!byId.has(doc.id)) byId.set(doc.id, doc);
+
+    const customerSlug = doc.frontmatter?.slug;
+    if (typeof customerSlug === 'string' && customerSlug.trim()) {
+      const slugPath = customerSlug.startsWith('/')
+        ? customerSlug
+        : path.posix.join(path.posix.dirname(doc.id), customerSlug);
+      bySitePath.set(trimSlashes(slugPath), doc);
+    }
+  }
+
+  const findFile = (relCandidate) => {
+    let base = trimSlashes(path.posix.normalize(relCandidate));
+    if (base.startsWith('..') && srcRoot) {
+      base = path.relative(srcRoot, path.resolve(srcRoot, base)).replace(/\\/g, '/');
+    }
+    if (base.startsWith('..')) return null;
+    for (const candidate of [
+      base,
+      `${base}.md`,
+      `${base}.mdx`,
+      `${base}/index.md`,
+      `${base}/index.mdx`,
+      `${base}/README.md`,
+    ]) {
+      const hit = byRelPath.get(candidate.toLowerCase());
+      if (hit) return hit;
+    }
+    return null;
+  };
+
+  const findById = (idCandidate) => {
+    const id = trimSlashes(path.posix.normalize(idCandidate)).replace(/\.mdx?$/i, '');
+    return byId.get(id) || bySitePath.get(id) || null;
+  };
+
+  const format = (doc, anchor) => {
+    const slug = slugs.get(doc.relPath);
+    if (!slug) return null;
+    const target =
+      linkStyle === 'path' ? `${linkBasePath.replace(/\/+$/, '')}/${slug}` : `doc:${slug}`;
+    return `${target}${anchor}`;
+  };
+
+  // Links into another version resolve there, always as a path into that version
+  const linked = versions.map((version) => ({
+    ...version,
+    resolve: createDocLinkResolver({
+      docs: version.docs,
+      slugs: version.slugs,
+      linkStyle: 'path',
+      linkBasePath: version.linkBasePath,
+      routeBasePaths: version.routeBasePaths,
+      srcRoot: version.srcRoot,
+    }),
+  }));
+  const inVersion = (version, href) => {
+    const result = version.resolve(href, '');
+    return result.status === 'rewritten' ? { ...result, version: version.name } : result;
+  };
+  // The version whose route prefix matches a site path best, or null for this one
+  const versionOfSitePath = (sitePath) => {
+    const matchLength = (prefixes) =>
+      Math.max(
+        -1,
+        ...prefixes
+          .map(trimSlashes)
+          .filter((prefix) => sitePath === prefix || sitePath.startsWith(`${prefix}/`))
+          .map((prefix) => prefix.length),
+      );
+    let best = null;
+    let bestLength = matchLength(routeBasePaths);
+    for (const version of linked) {
+      const length = matchLength(version.routeBasePaths);
+      if (length > bestLength) [best, bestLength] = [version, length];
+    }
+    return best;
+  };
+
+  return (href, fromRelPath) => {
+    const raw = String(href || '').trim();
+    if (!raw || raw.startsWith('#') || raw.startsWith('//')) return { status: 'skip' };
+    if (/^[a-z][a-z0-9+.-]*:/i.test(raw)) return { status: 'skip' }; // http:, mailto:, doc:, …
+
+    const hashIndex = raw.indexOf('#');
+    const anchor = hashIndex === -1 ? '' : raw.slice(hashIndex);
+    let target = (hashIndex === -1 ? raw : raw.slice(0, hashIndex)).replace(/\?.*$/, '');
+    try {
+      target = decodeURI(target);
+    } catch {
+      // Keep malformed escapes as written
+    }
+
+    // Static assets (images, PDFs, …) are not doc links
+    if (!DOC_EXTENSIONS.has(path.posix.extname(target).toLowerCase())) return { status: 'skip' };
+
+    const fromDir = path.posix.dirname(fromRelPath);
+    const fromDoc = byRelPath.get(fromRelPath.toLowerCase());
+    let doc = null;
+
+    if (target.startsWith('/')) {
+      // Site path: strip the docs route prefix, then try ids/slugs and files
+      let sitePath = trimSlashes(target);
+      const version = versionOfSitePath(sitePath);
+      if (version) return inVersion(version, `/${sitePath}${anchor}`);
+      for (const prefix of routeBasePaths) {
+        const trimmed = trimSlashes(prefix);
+        if (trimmed && (sitePath === trimmed || sitePath.startsWith(`${trimmed}/`))) {
+          sitePath = sitePath.slice(trimmed.length + 1);
+          break;
+        }
+      }
+      doc = findById(sitePath) || findFile(sitePath);
+    } else {
+      const absolute = srcRoot && path.resolve(srcRoot, fromDir, target);
+      const version = linked.find(
+        (candidate) => absolute && !path.relative(candidate.srcRoot, absolute).startsWith('..'),
+      );
+      if (version) {
+        const rel = path.relative(version.srcRoot, absolute).replace(/\\/g, '/');
+        return inVersion(version, `./${rel}${anchor}`);
+      }
+      doc =
+        findFile(path.posix.join(fromDir, target)) ||
+        // Docusaurus resolves extensionless relative links against the page's id
+        (fromDoc && findById(path.posix.join(path.posix.dirname(fromDoc.id), target))) ||
+        findById(target);
+    }
+
+    if (!doc) return { status: 'broken' };
+    const rewritten = format(doc, anchor);
+    return rewritten ? { status: 'rewritten', href: rewritten } : { status: 'broken' };
+  };
+}
+
+/**
+ * Rewrite internal doc links in mdast `link`/`definition` nodes, `<a href>` JSX elements and
+ * raw HTML `<a href="…">` to their migrated ReadMe targets. Anchors are preserved.
+ *
+ * @param {Object} opts
+ * @param {Function} opts.resolve - From `createDocLinkResolver()`
+ * @param {string} opts.fromRelPath - Current doc, relative to the source root
+ * @param {string[]} [opts.broken] - Collects unresolvable targets
+ * @param {string[]} [opts.rewritten] - Collects `old → new` pairs
+ */
+export function remarkRewriteDocLinks({ resolve, fromRelPath, broken = [], rewritten = [] } = {}) {
+  const rewrite = (href) => {
+    const result = resolve(href, fromRelPath);
+    if (result.status === 'broken') {
+      broken.push(href);
+      return href;
+    }
+    if (result.status === 'rewritten') {
+      rewritten.push(`${href} → ${result.href}`);
+      return result.href;
+    }
+    return href;
+  };
+
+  return (tree) => {
+    if (typeof resolve !== 'function') return;
+
+    visit(tree, (node) => {
+      if ((node.type === 'link' || node.type === 'definition') && typeof node.url === 'string') {
+        node.url = rewrite(node.url);
+        return;
+      }
+
+      if (
+        (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') &&
+        node.name === 'a'
+      ) {
+        for (const attr of node.attributes || []) {
+          if (attr && attr.name === 'href' && typeof attr.value === 'string') {
+            attr.value = rewrite(attr.value);
+          }
+        }
+        return;
+      }
+
+      if (node.type === 'html' && typeof node.value === 'string') {
+        node.value = node.value.replace(
+          /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi,
+          (_whole, start, quote, href) => `${start}${quote}${rewrite(href)}${quote}`,
+        );
+      }
+    });
+  };
+}
+
+/**
+ * Another version of the docs, as links into it see it.
+ * @typedef {Object} LinkedVersion
+ * @property {string} name - ReadMe version
+ * @property {import('../sourceDocs.mjs').SourceDoc[]} docs
+ * @property {Map<string, string>} slugs - source relPath → ReadMe slug in that version
+ * @property {string[]} routeBasePaths - Its site path prefixes (`docs/1.x`)
+ * @property {string} linkBasePath - Where its pages live (`/v1.x/docs`)
+ * @property {string} srcRoot - Its absolute docs folder
+ */
+
+function trimSlashes(s) {
+  return String(s).replace(/^\/+|\/+$/g, '');
+}
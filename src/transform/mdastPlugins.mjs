@@ -1,5 +1,6 @@
 // src/transform/mdastPlugins.mjs
-import { visit } from 'unist-util-visit';
+import { toString } from 'mdast-util-to-string';
+import { visit, SKIP } from 'unist-util-visit';
 
 /* -------------------------------------------------------------------------- */
 /*  Collect markdown image URLs from mdast `image` nodes                       */
@@ -52,27 +53,6 @@ export function remarkReplaceImageZoom({ imageUrls = [] } = {}) {
   };
 }
 
-/* -------------------------------------------------------------------------- */
-/*  Fix MDX-unsafe comments and declarations like <!-- ... --> or <!doctype>   */
-/* -------------------------------------------------------------------------- */
-export function mdFixBangAndHtmlComments() {
-  return (tree) => {
-    visit(tree, (node) => {
-      if (node.type === 'html' && typeof node.value === 'string') {
-        const v = node.value;
-        // Convert HTML comments to MDX comments
-        if (/^\s*<!--/.test(v) && /-->\s*$/.test(v)) {
-          node.type = 'mdxFlowExpression';
-          node.value = `{/*${v.replace(/^\s*<!--\s*/, '').replace(/\s*-->\s*$/, '')}*/}`;
-        } else if (/^\s*<![^-]/.test(v)) {
-          // Escape leading '<!' to avoid MDX parser issues
-          node.value = v.replace(/^</, '&lt;');
-        }
-      }
-    });
-  };
-}
-
 /* -------------------------------------------------------------------------- */
 /*  Strip <script>…</script> & inline JSX/HTML event handlers; log removals    */
 /* -------------------------------------------------------------------------- */
@@ -112,95 +92,47 @@ export function remarkStripScriptsAndHandlers({ jsRemoved = [], warnings = [] }
 
       node.value = html;
     });
-  };
-}
-
-/* -------------------------------------------------------------------------- */
-/*  Convert a safe subset of raw HTML → Markdown (keep tables/JSX as-is)       */
-/* -------------------------------------------------------------------------- */
-export function remarkConvertSelectedHtmlToMd(options = {}) {
-  const { keepHtmlIf, recordRaw } = options;
-  return (tree) => {
-    visit(tree, 'html', (node, index, parent) => {
-      if (!parent || index == null) return;
-      const raw = String(node.value || '');
-
-      if (typeof keepHtmlIf === 'function' && keepHtmlIf(raw)) return;
-
-      const html = raw.replace(/\r\n?/g, '\n');
-      let changed = false;
-      let out = html;
-
-      // h1..h6
-      out = out.replace(/<\s*h([1-6])\s*>\s*([\s\S]*?)\s*<\s*\/\s*h\1\s*>\s*/gi, (_, n, inner) => {
-        changed = true;
-        return `${'#'.repeat(Number(n))} ${stripTags(inner).trim()}\n\n`;
-      });
 
-      // p
-      out = out.replace(/<\s*p\s*>\s*([\s\S]*?)\s*<\s*\/\s*p\s*>\s*/gi, (_, inner) => {
-        changed = true;
-        return `${stripTags(inner).trim()}\n\n`;
-      });
-
-      // br
-      out = out.replace(/<\s*br\s*\/?\s*>\s*/gi, () => {
-        changed = true;
-        return '  \n';
-      });
-
-      // strong/b
-      out = out.replace(
-        /<\s*(b|strong)\s*>\s*([\s\S]*?)\s*<\s*\/\s*(b|strong)\s*>\s*/gi,
-        (_, _t1, inner) => {
-          changed = true;
-          return `**${stripTags(inner).trim()}**`;
-        },
-      );
-
-      // em/i
-      out = out.replace(
-        /<\s*(i|em)\s*>\s*([\s\S]*?)\s*<\s*\/\s*(i|em)\s*>\s*/gi,
-        (_, _t1, inner) => {
-          changed = true;
-          return `*${stripTags(inner).trim()}*`;
-        },
-      );
-
-      // ul > li
-      out = out.replace(/<\s*ul\s*>\s*([\s\S]*?)\s*<\s*\/\s*ul\s*>\s*/gi, (_, inner) => {
-        const items = Array.from(inner.matchAll(/<\s*li\s*>\s*([\s\S]*?)\s*<\s*\/\s*li\s*>/gi)).map(
-          (m) => m[1],
-        );
-        if (!items.length) return _;
-        changed = true;
-        return items.map((it) => `- ${stripTags(it).trim()}`).join('\n') + '\n\n';
-      });
-
-      // ol > li
-      out = out.replace(/<\s*ol\s*>\s*([\s\S]*?)\s*<\s*\/\s*ol\s*>\s*/gi, (_, inner) => {
-        const items = Array.from(inner.matchAll(/<\s*li\s*>\s*([\s\S]*?)\s*<\s*\/\s*li\s*>/gi)).map(
-          (m) => m[1],
+    // With remark-mdx, tags are parsed as JSX elements instead of `html` nodes
+    visit(tree, ['mdxJsxFlowElement', 'mdxJsxTextElement'], (node, index, parent) => {
+      if (node.name && node.name.toLowerCase() === 'script') {
+        const srcAttr = (node.attributes || []).find(
+          (a) => a.type === 'mdxJsxAttribute' && a.name === 'src' && typeof a.value === 'string',
         );
-        if (!items.length) return _;
-        changed = true;
-        return items.map((it, i) => `${i + 1}. ${stripTags(it).trim()}`).join('\n') + '\n\n';
-      });
-
-      if (!changed) return;
-      if (typeof recordRaw === 'function') recordRaw(raw);
+        const code = toString(node).trim();
+        if (srcAttr && srcAttr.value) {
+          jsRemoved.push(`SCRIPT SRC: ${srcAttr.value}`);
+          warnings.push({ type: 'script', message: `Removed <script src="${srcAttr.value}">` });
+        } else if (code) {
+          jsRemoved.push(`SCRIPT INLINE CODE:\n${code}`);
+          warnings.push({ type: 'script', message: 'Removed inline <script>' });
+        } else {
+          warnings.push({ type: 'script', message: 'Removed <script>' });
+        }
+        if (!parent || index === undefined) return;
+        parent.children[index] = {
+          type: node.type === 'mdxJsxFlowElement' ? 'mdxFlowExpression' : 'mdxTextExpression',
+          value: '/* ❗ Script removed: replace with an MDX component. */',
+        };
+        return SKIP;
+      }
 
-      parent.children.splice(index, 1, { type: 'text', value: out });
+      const attributes = node.attributes || [];
+      const kept = attributes.filter(
+        (a) => !(a.type === 'mdxJsxAttribute' && /^on[A-Za-z]+$/.test(a.name)),
+      );
+      for (const a of attributes) {
+        if (kept.includes(a)) continue;
+        jsRemoved.push(`INLINE HANDLER removed in: ${truncate(`<${node.name} ${a.name}`, 80)}`);
+        warnings.push({ type: 'inline-handler', message: 'Removed inline event handler' });
+      }
+      node.attributes = kept;
     });
   };
 }
 
 /* --------------------------------- utils ---------------------------------- */
 
-function stripTags(s) {
-  return String(s).replace(/<[^>]+>/g, '');
-}
-
 function truncate(s, n) {
   s = String(s);
   return s.length <= n ? s : s.slice(0, n - 1) + '…';
@@ -0,0 +1,192 @@
+// src/transform/partials.mjs
+import { existsSync } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import matter from 'gray-matter';
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkMdx from 'remark-mdx';
+import { visit, SKIP } from 'unist-util-visit';
+
+import { remarkDirectiveSyntax } from './callouts.mjs';
+import { applyEdits } from '../utils/textEdits.mjs';
+
+/**
+ * @typedef {Object} InlinedText
+ * @property {string} text - The text with every resolvable partial inlined
+ * @property {(line: number|null) => number|null} lineOf - Line of `text` → line of the input
+ *   (inlined lines map to the line of the component they replaced)
+ * @property {string[]} partials - Absolute paths of every partial inlined, nested ones included
+ * @property {Array<{line: number|null, reason: string}>} unresolved - Imports of `.md`/`.mdx`
+ *   files that were not inlined, and imports removed from partials
+ */
+
+/**
+ * Inline MDX partials: `import Snippet from './_snippet.mdx'` plus `<Snippet />` becomes the
+ * partial's content at that spot (indented to fit lists, blockquotes and JSX), and the import
+ * goes away. Partials are inlined recursively; an import cycle, or a partial that does not
+ * exist, is reported and the component left as written. Imports of anything else (React
+ * components, packages) are left for the pipeline to strip.
+ *
+ * Import paths are relative to the importing file, or `@site/…` (relative to `cwd`) or
+ * `/…` (relative to `srcRoot`, as Mintlify snippets are).
+ *
+ * @param {string} text - Body of the doc (frontmatter removed, framework syntax converted)
+ * @param {Object} opts
+ * @param {string} opts.filePath - Absolute path of the file `text` comes from
+ * @param {string} opts.srcRoot
+ * @param {string} [opts.cwd=process.cwd()]
+ * @param {(body: string, relPath: string) => string} [opts.prepare] - Applied to each partial's
+ *   body (frontmatter removed) before it is inlined, e.g. the source adapter's pre-pass
+ * @returns {Promise<InlinedText>}
+ */
+export async function inlinePartials(text, opts) {
+  const partials = new Set();
+  const unresolved = [];
+  const result = await inlineInto(String(text), opts.filePath, [], {
+    ...opts,
+    cwd: opts.cwd || process.cwd(),
+    partials,
+    unresolved,
+  });
+  // A partial used twice reports its problems once
+  const unique = new Map(unresolved.map((row) => [`${row.line}|${row.reason}`, row]));
+  return { ...result, partials: [...partials], unresolved: [...unique.values()] };
+}
+
+async function inlineInto(text, filePath, stack, ctx) {
+  const identity = { text, lineOf: (line) => line };
+  let tree;
+  try {
+    tree = unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkMdx)
+      .use(remarkDirectiveSyntax)
+      .parse(text);
+  } catch {
+    // Not valid MDX: the pipeline's own parse reports it
+    return identity;
+  }
+
+  const isPartial = stack.length > 0;
+  const relName = (file) => path.relative(ctx.srcRoot, file).replace(/\\/g, '/');
+  const edits = []; // { start, end, text }
+  const imported = new Map(); // local name → { file (null: not found), source }
+
+  visit(tree, 'mdxjsEsm', (node) => {
+    for (const statement of node.data?.estree?.body || []) {
+      const span = { start: statement.start, end: statement.end };
+      const source = statement.type === 'ImportDeclaration' ? statement.source.value : null;
+      const target = source ? resolvePartial(source, filePath, ctx) : null;
+      const name = statement.specifiers?.find((s) => s.type === 'ImportDefaultSpecifier')?.local
+        .name;
+
+      if (target && name) {
+        imported.set(name, { ...target, source });
+        edits.push(withLineEnd(text, span, ''));
+      } else if (isPartial) {
+        // A partial's other imports would land mid-document, where MDX doesn't allow them
+        ctx.unresolved.push({
+          line: null,
+          reason: `Import removed from partial ${relName(filePath)}: ${text.slice(span.start, span.end)}`,
+        });
+        edits.push(withLineEnd(text, span, ''));
+      }
+    }
+    return SKIP;
+  });
+  if (!imported.size && !edits.length) return identity;
+
+  const usages = [];
+  visit(tree, (node) => {
+    if (node.type !== 'mdxJsxFlowElement' && node.type !== 'mdxJsxTextElement') return;
+    if (!imported.has(node.name)) return;
+    usages.push(node);
+    return SKIP;
+  });
+
+  const reported = new Set();
+  for (const node of usages) {
+    const target = imported.get(node.name);
+    const line = isPartial ? null : node.position.start.line;
+    const where = isPartial ? ` (in partial ${relName(filePath)})` : '';
+    if (!target.file) {
+      if (!reported.has(node.name)) {
+        ctx.unresolved.push({ line, reason: `Partial ${target.source} not found${where}` });
+      }
+      reported.add(node.name);
+      continue;
+    }
+    if (target.file === filePath || stack.includes(target.file)) {
+      const cycle = [...stack, filePath, target.file].map(relName).join(' → ');
+      ctx.unresolved.push({ line, reason: `Import cycle ${cycle}; <${node.name} /> not inlined` });
+      continue;
+    }
+
+    let body;
+    try {
+      body = matter(await fs.readFile(target.file, 'utf8')).content;
+    } catch (err) {
+      ctx.unresolved.push({ line, reason: `Partial ${target.source} unreadable: ${err.message}` });
+      continue;
+    }
+    if (ctx.prepare) body = ctx.prepare(body, relName(target.file));
+    ctx.partials.add(target.file);
+    const nested = await inlineInto(body, target.file, [...stack, filePath], ctx);
+
+    const start = node.position.start.offset;
+    edits.push({
+      start,
+      end: node.position.end.offset,
+      text: indentContinuation(nested.text.trim(), linePrefix(text, start)),
+    });
+  }
+
+  return applyEdits(text, edits);
+}
+
+/**
+ * Where an import points, when it is a Markdown/MDX partial: `{file}` when found, `{file: null}`
+ * when the path names a `.md`/`.mdx` file that doesn't exist, null for anything else.
+ */
+function resolvePartial(source, fromFile, { srcRoot, cwd }) {
+  let base;
+  if (/^\.\.?\//.test(source)) base = path.resolve(path.dirname(fromFile), source);
+  else if (source.startsWith('@site/')) base = path.resolve(cwd, source.slice('@site/'.length));
+  else if (source.startsWith('/')) base = path.join(srcRoot, source);
+  else return null;
+
+  const explicit = /\.mdx?$/i.test(base);
+  const candidates = explicit
+    ? [base]
+    : [`${base}.mdx`, `${base}.md`, path.join(base, 'index.mdx'), path.join(base, 'index.md')];
+  const found = candidates.find((candidate) => existsSync(candidate));
+  if (found) return { file: found };
+  return explicit ? { file: null } : null;
+}
+
+/** Remove an import statement together with the rest of its line. */
+function withLineEnd(text, { start, end }, replacement) {
+  const rest = /^[ \t;]*\r?\n?/.exec(text.slice(end))[0];
+  return { start, end: end + rest.length, text: replacement };
+}
+
+/** Text between the start of the line and `offset`. */
+function linePrefix(text, offset) {
+  return text.slice(text.lastIndexOf('\n', offset - 1) + 1, offset);
+}
+
+/**
+ * Indent every line after the first like the block the component sits in: blockquote markers
+ * are repeated, list markers and indentation become spaces.
+ */
+function indentContinuation(block, prefix) {
+  const lead = /^[ \t>]*(?:(?:[-*+]|\d+[.)])[ \t]+)?/.exec(prefix)[0];
+  const pad = lead.replace(/[^ \t>]/g, ' ');
+  return block
+    .split('\n')
+    .map((line, index) => (index === 0 ? line : line ? pad + line : pad.trimEnd()))
+    .join('\n');
+}
@@ -0,0 +1,296 @@
+// src/transform/tables.mjs
+import { fromHtml } from 'hast-util-from-html';
+
+import { applyEdits } from '../utils/textEdits.mjs';
+
+/** Cell content that needs its own lines, so the table can't be a pipe table. */
+const BLOCK_TAGS = new Set([
+  ...['address', 'blockquote', 'details', 'div', 'dl', 'figure', 'footer', 'form', 'header'],
+  ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'ol', 'p', 'section', 'ul'],
+]);
+
+/** Elements written as `<tag />`. */
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'source', 'wbr']);
+
+/**
+ * @typedef {Object} ConvertedTables
+ * @property {string} text - The text with every convertible `<table>` replaced
+ * @property {(line: number|null) => number|null} lineOf - Line of `text` → line of the input
+ * @property {Array<{line: number, reason: string}>} unconverted - Tables left as HTML (lines of
+ *   the input)
+ */
+
+/**
+ * Convert HTML `<table>`s before the MDX parser sees them, since unclosed `<td>`s, `class=`
+ * and `style="…"` strings break it and ReadMe's editor can't edit raw HTML tables. A simple
+ * table (a header row, no `rowspan`/`colspan`, only inline content in cells) becomes a GFM
+ * pipe table, with each column's alignment taken from its header cell (`align` or
+ * `text-align`). Anything else becomes a ReadMe `<Table>` with JSX attributes: `className`,
+ * `colSpan`/`rowSpan` and `style` objects. Tables that can't be converted safely (JSX already
+ * inside, nested tables, `<pre>`, scripts, no closing tag) are left as written and reported.
+ *
+ * Only tables starting a line are converted; fenced code is left alone.
+ *
+ * @param {string} text
+ * @returns {ConvertedTables}
+ */
+export function convertHtmlTables(text) {
+  const source = String(text);
+  const edits = [];
+  const unconverted = [];
+
+  for (const { start, end, indent } of findTables(source, unconverted)) {
+    const html = source.slice(start, end);
+    const line = lineAt(source, start);
+    const reason = unsafeReason(html);
+    if (reason) {
+      unconverted.push({ line, reason: `HTML table ${reason}` });
+      continue;
+    }
+
+    const table = fromHtml(html, { fragment: true }).children.find(
+      (node) => node.tagName === 'table',
+    );
+    const lines = isSimple(table) ? toPipeTable(table) : toTableJsx(table);
+
+    // Blocks need blank lines around them to stay blocks
+    const lineStart = start - indent.length;
+    const before = source.slice(0, lineStart).replace(/\n$/, '');
+    const after = source.slice(end).split('\n')[0];
+    const next = source.slice(end).split('\n')[1];
+    edits.push({
+      start: lineStart,
+      end,
+      text:
+        (before && !/\n\s*$/.test(before) ? '\n' : '') +
+        lines.map((row) => indent + row).join('\n') +
+        (after.trim() ? `\n\n${indent}` : next?.trim() ? '\n' : ''),
+    });
+  }
+
+  return { ...applyEdits(source, edits), unconverted };
+}
+
+/** `<table>…</table>` spans outside fenced code, with the indentation before `<table`. */
+function findTables(text, unconverted) {
+  const tables = [];
+  const tag = /<(\/?)table\b[^>]*>/gi;
+  let fence = null;
+  let offset = 0;
+
+  for (const lineText of text.split('\n')) {
+    const lineStart = offset;
+    offset += lineText.length + 1;
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(lineText);
+    if (fenceMatch) {
+      const marker = fenceMatch[1];
+      if (!fence) fence = marker;
+      else if (marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+      continue;
+    }
+    const open = /^([ \t]*)<table\b/i.exec(lineText);
+    if (fence || !open || lineStart < (tables.at(-1)?.end ?? 0)) continue;
+
+    // The matching close tag, counting nested tables
+    const start = lineStart + open[1].length;
+    let depth = 0;
+    let end = null;
+    tag.lastIndex = start;
+    for (let match; (match = tag.exec(text));) {
+      depth += match[1] ? -1 : 1;
+      if (depth === 0) {
+        end = match.index + match[0].length;
+        break;
+      }
+    }
+    if (end === null) {
+      unconverted.push({ line: lineAt(text, start), reason: 'HTML table has no closing </table>' });
+      continue;
+    }
+    tables.push({ start, end, indent: open[1] });
+  }
+  return tables;
+}
+
+/** Why a table's HTML can't be converted without losing or breaking something, or null. */
+function unsafeReason(html) {
+  if (/<\/?[A-Z]/.test(html)) return 'contains JSX components';
+  if (/=\s*\{/.test(html)) return 'has {expression} attributes';
+  if ((html.match(/<table\b/gi) || []).length > 1) return 'contains a nested table';
+  const tag = /<(pre|script|style|textarea)\b/i.exec(html);
+  if (tag) return `contains <${tag[1].toLowerCase()}>`;
+  return null;
+}
+
+/* ------------------------------ table structure ----------------------------- */
+
+const elements = (node, tagName) =>
+  (node.children || []).filter(
+    (child) => child.type === 'element' && (!tagName || child.tagName === tagName),
+  );
+
+/** Rows of a table: `{head, body}`, leading rows of `<th>`s counting as the head. */
+function rowsOf(table) {
+  const head = elements(table, 'thead').flatMap((section) => elements(section, 'tr'));
+  const body = elements(table)
+    .filter((node) => node.tagName === 'tbody' || node.tagName === 'tfoot')
+    .flatMap((section) => elements(section, 'tr'));
+  const allHeaders = (row) => cellsOf(row).every((cell) => cell.tagName === 'th');
+  if (!head.length) while (body.length && allHeaders(body[0])) head.push(body.shift());
+  return { head, body };
+}
+
+function cellsOf(row) {
+  return elements(row).filter((cell) => cell.tagName === 'td' || cell.tagName === 'th');
+}
+
+function isSimple(table) {
+  const { head, body } = rowsOf(table);
+  if (head.length !== 1 || elements(table, 'caption').length) return false;
+  return [...head, ...body].every((row) =>
+    cellsOf(row).every(
+      (cell) =>
+        Number(cell.properties.colSpan || 1) === 1 &&
+        Number(cell.properties.rowSpan || 1) === 1 &&
+        !hasBlockContent(cell),
+    ),
+  );
+}
+
+function hasBlockContent(node) {
+  return elements(node).some((child) => BLOCK_TAGS.has(child.tagName) || hasBlockContent(child));
+}
+
+/* ------------------------------ GFM pipe table ------------------------------ */
+
+function toPipeTable(table) {
+  const { head, body } = rowsOf(table);
+  const header = cellsOf(head[0]);
+  const width = Math.max(header.length, ...body.map((row) => cellsOf(row).length));
+  const row = (cells) => {
+    const values = cells.map((cell) => inline(cell.children).replace(/\|/g, '\\|'));
+    while (values.length < width) values.push('');
+    return `| ${values.join(' | ')} |`;
+  };
+  const delimiter = Array.from({ length: width }, (_, index) => {
+    const align = alignmentOf(header[index]);
+    if (align === 'center') return ':---:';
+    if (align === 'right') return '---:';
+    if (align === 'left') return ':---';
+    return '---';
+  });
+
+  return [row(header), `| ${delimiter.join(' | ')} |`, ...body.map((tr) => row(cellsOf(tr)))];
+}
+
+function alignmentOf(cell) {
+  if (!cell) return null;
+  const styleAlign = /(?:^|;)\s*text-align\s*:\s*(\w+)/i.exec(cell.properties.style || '');
+  return String(cell.properties.align || styleAlign?.[1] || '').toLowerCase() || null;
+}
+
+/* ------------------------------ <Table> markup ------------------------------ */
+
+function toTableJsx(table) {
+  const { head, body } = rowsOf(table);
+  const lines = [`<Table${attributes(table.properties)}>`];
+  for (const caption of elements(table, 'caption')) {
+    lines.push(`  <caption${attributes(caption.properties)}>${inline(caption.children)}</caption>`);
+  }
+  const section = (name, rows) => {
+    if (!rows.length) return;
+    lines.push(`  <${name}>`);
+    for (const row of rows) {
+      lines.push(`    <tr${attributes(row.properties)}>`);
+      for (const cell of cellsOf(row)) lines.push(...cellLines(cell, '      '));
+      lines.push('    </tr>');
+    }
+    lines.push(`  </${name}>`);
+  };
+  section('thead', head);
+  section('tbody', body);
+  lines.push('</Table>');
+  return lines;
+}
+
+/** A cell on one line, or with its blocks on lines of their own. */
+function cellLines(cell, indent) {
+  const open = `<${cell.tagName}${attributes(cell.properties)}>`;
+  const close = `</${cell.tagName}>`;
+  if (!hasBlockContent(cell)) return [`${indent}${open}${inline(cell.children)}${close}`];
+
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    const value = inline(run);
+    if (value) blocks.push(value);
+    run = [];
+  };
+  for (const child of cell.children) {
+    if (child.type === 'element' && BLOCK_TAGS.has(child.tagName)) {
+      flush();
+      blocks.push(inline([child]));
+    } else run.push(child);
+  }
+  flush();
+  return [`${indent}${open}`, ...blocks.map((block) => `${indent}  ${block}`), `${indent}${close}`];
+}
+
+/* ------------------------------ serialization ------------------------------- */
+
+/** Nodes → JSX-safe markup on one line. */
+function inline(nodes) {
+  return nodes.map(serialize).join('').replace(/\s+/g, ' ').trim();
+}
+
+function serialize(node) {
+  if (node.type === 'text') {
+    // Cell text is Markdown once it's out of the HTML, so `*lit*` has to stay literal
+    return node.value
+      .replace(/[&<{}]/g, (ch) => `&#${ch.charCodeAt(0)};`)
+      .replace(/[\\`*_[\]~]/g, '\\$&');
+  }
+  if (node.type !== 'element') return ''; // comments
+  const open = `<${node.tagName}${attributes(node.properties)}`;
+  if (VOID_TAGS.has(node.tagName)) return `${open} />`;
+  return `${open}>${node.children.map(serialize).join('')}</${node.tagName}>`;
+}
+
+/** hast properties → JSX attributes (` className="x" style={{ … }}`); event handlers go. */
+function attributes(properties = {}) {
+  let out = '';
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === false || value == null || /^on[A-Z]/.test(key)) continue;
+    const name = /^(data|aria)[A-Z]/.test(key)
+      ? key.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)
+      : key;
+    if (key === 'style') {
+      const style = styleObject(String(value));
+      if (style) out += ` style={${style}}`;
+    } else if (value === true) out += ` ${name}`;
+    else {
+      const text = Array.isArray(value) ? value.join(' ') : String(value);
+      out += ` ${name}="${text.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`;
+    }
+  }
+  return out;
+}
+
+/** `text-align: center; --gap: 2px` → `{ textAlign: 'center', '--gap': '2px' }`, or null. */
+function styleObject(css) {
+  const entries = css
+    .split(';')
+    .map((declaration) => /^\s*([\w-]+)\s*:\s*(.+?)\s*$/.exec(declaration))
+    .filter(Boolean)
+    .map(([, property, value]) => {
+      const key = property.startsWith('--')
+        ? `'${property}'`
+        : property.toLowerCase().replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+      return `${key}: '${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    });
+  return entries.length ? `{ ${entries.join(', ')} }` : null;
+}
+
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
@@ -1,184 +1,178 @@
-import { indentBlock } from './callouts.mjs';
+// src/transform/tabs.mjs
+import { visit } from 'unist-util-visit';
 
 /**
- * Convert Docusaurus-style Tabs into ReadMe-compatible <Tabs><Tab title="...">…</Tab></Tabs>.
- * - Supports values=[{label: '…' | JSX, value: '…'}, …]
- * - Uses <TabItem value="…"> content; resolves title from label (fallback to value).
+ * Convert Docusaurus `<Tabs>`/`<TabItem>` into ReadMe `<Tabs><Tab title="…">…</Tab></Tabs>`.
+ *
+ * Works on the mdast, so nested tabs, and fenced code that happens to contain `</TabItem>`,
+ * are handled like any other content, and tab bodies are serialized untouched.
+ *
+ * - Titles come from the item's `label` (string or expression, JSX labels keep their text),
+ *   then the `<Tabs values={[…]}>` array, then the item's `value`.
+ * - ReadMe opens the first tab, so the default tab (`<TabItem default>` or
+ *   `<Tabs defaultValue>`) is moved to the front. `groupId`/`queryString` have no ReadMe
+ *   equivalent and are dropped.
+ * - Tabs that can't be converted are left as written and reported through `unconverted`.
+ *
+ * @param {Object} [opts]
+ * @param {Array<{line: number|null, reason: string}>} [opts.unconverted]
  */
-export function transformDocusaurusTabsToTarget(markdownText) {
-  return markdownText.replace(/<Tabs\b[\s\S]*?<\/Tabs>/g, (originalTabsBlock) => {
-    const { valuesArraySource, openingTagEndIndex } =
-      extractValuesArrayFromOpeningTag(originalTabsBlock);
-
-    const labelByValue = buildLabelMap(valuesArraySource);
-
-    const innerStartIndex =
-      openingTagEndIndex > -1 ? openingTagEndIndex + 1 : originalTabsBlock.indexOf('>') + 1;
-    const innerEndIndex = originalTabsBlock.lastIndexOf('</Tabs>');
-    const innerContent =
-      innerEndIndex > innerStartIndex
-        ? originalTabsBlock.slice(innerStartIndex, innerEndIndex)
-        : '';
-
-    const renderedTabs = [];
-    innerContent.replace(
-      /<TabItem\b([^>]*)>([\s\S]*?)<\/TabItem>/g,
-      (whole, tabItemAttributes, tabItemBody) => {
-        const valueAttr = getAttr(tabItemAttributes, 'value'); // supports "v", 'v', {v}
-        const rawLabel = getAttr(tabItemAttributes, 'label'); // may be JSX
-        const preferredTitleSource = rawLabel || (valueAttr && labelByValue.get(valueAttr)) || '';
-        const title = sanitizeLabel(preferredTitleSource, valueAttr || 'Tab');
-        const body = tabItemBody.trim();
-
-        renderedTabs.push(
-          [
-            `  <Tab title="${escapeHtmlAttribute(title)}">`,
-            indentBlock(body, '   '),
-            `  </Tab>`,
-          ].join('\n'),
-        );
-        return whole;
-      },
-    );
-
-    if (!renderedTabs.length) return originalTabsBlock;
-    return ['<Tabs>', renderedTabs.join('\n\n'), '</Tabs>'].join('\n');
-  });
-}
+export function remarkDocusaurusTabs({ unconverted = [] } = {}) {
+  return (tree) => {
+    visit(tree, (node) => {
+      if (node.type !== 'mdxJsxFlowElement' || node.name !== 'Tabs') return;
+
+      const items = [];
+      const strays = [];
+      for (const child of node.children || []) {
+        if (isTabItem(child)) items.push(child);
+        else if (child.type === 'paragraph' && child.children.some(isTabItem)) {
+          // `<TabItem value="a">text</TabItem>` on one line parses as inline JSX
+          for (const inline of child.children) {
+            if (isTabItem(inline)) items.push(inline);
+            else if (!isBlankText(inline)) strays.push(inline);
+          }
+        } else if (!isBlankText(child)) strays.push(child);
+      }
 
-/**
- * Pull out the `values={[ ... ]}` from the opening <Tabs ...> tag,
- * even when labels contain JSX (by balancing braces).
- */
-function extractValuesArrayFromOpeningTag(tabsBlock) {
-  const openingStart = tabsBlock.indexOf('<Tabs');
-  if (openingStart === -1) {
-    return { valuesArraySource: '', openingTagEndIndex: tabsBlock.indexOf('>') };
-  }
+      // Already ReadMe tabs (e.g. a re-run over migrated content): nothing to do
+      if (!items.length && strays.every((child) => isJsx(child) && child.name === 'Tab')) return;
 
-  const valuesIndex = tabsBlock.indexOf('values', openingStart);
-  let openingTagEndIndex = tabsBlock.indexOf('>');
-  if (valuesIndex === -1) return { valuesArraySource: '', openingTagEndIndex };
-
-  const braceStartIndex = tabsBlock.indexOf('{', valuesIndex);
-  if (braceStartIndex === -1) return { valuesArraySource: '', openingTagEndIndex };
-
-  // Balance the braces after "values="
-  let i = braceStartIndex;
-  let depth = 0;
-  for (; i < tabsBlock.length; i++) {
-    const ch = tabsBlock[i];
-    if (ch === '{') depth++;
-    else if (ch === '}') {
-      depth--;
-      if (depth === 0) break;
-    }
-  }
-  const braceEndIndex = i;
+      const line = node.position?.start?.line ?? null;
+      if (!items.length) {
+        unconverted.push({ line, reason: '<Tabs> has no <TabItem> children' });
+        return;
+      }
+      if (strays.length) {
+        unconverted.push({ line, reason: '<Tabs> contains content outside <TabItem>' });
+        return;
+      }
 
-  // True end of the opening tag is the first '>' after the closing '}'
-  openingTagEndIndex = tabsBlock.indexOf('>', braceEndIndex);
+      const labels = labelsFromValues(attribute(node, 'values'));
+      const defaultValue = stringValue(attribute(node, 'defaultValue'));
+
+      const tabs = items.map((item, index) => {
+        const value = stringValue(attribute(item, 'value'));
+        const title =
+          labelText(attribute(item, 'label')) ||
+          (value && labels.get(value)) ||
+          value ||
+          `Tab ${index + 1}`;
+        const isDefault =
+          hasAttribute(item, 'default') || (defaultValue != null && value === defaultValue);
+        const children =
+          item.type === 'mdxJsxTextElement'
+            ? [{ type: 'paragraph', children: item.children || [] }]
+            : item.children || [];
+
+        return {
+          isDefault,
+          element: {
+            type: 'mdxJsxFlowElement',
+            name: 'Tab',
+            attributes: [{ type: 'mdxJsxAttribute', name: 'title', value: title }],
+            children,
+            position: item.position,
+          },
+        };
+      });
+
+      const first = tabs.findIndex((tab) => tab.isDefault);
+      if (first > 0) tabs.unshift(...tabs.splice(first, 1));
+
+      node.attributes = [];
+      node.children = tabs.map((tab) => tab.element);
+      // Nested <Tabs> inside these tabs are visited next
+    });
+  };
+}
 
-  const insideBraces = tabsBlock.slice(braceStartIndex + 1, braceEndIndex); // typically: [ {…}, {…} ]
-  const leftBracket = insideBraces.indexOf('[');
-  const rightBracket = insideBraces.lastIndexOf(']');
-  const valuesArraySource =
-    leftBracket !== -1 && rightBracket !== -1 && rightBracket > leftBracket
-      ? insideBraces.slice(leftBracket + 1, rightBracket)
-      : insideBraces;
+/* --------------------------------- helpers -------------------------------- */
 
-  return { valuesArraySource, openingTagEndIndex };
+function isJsx(node) {
+  return node?.type === 'mdxJsxFlowElement' || node?.type === 'mdxJsxTextElement';
 }
 
-/**
- * Build a map of `value -> label` from the values array source string.
- * Supports quoted, brace-wrapped, and JSX labels (e.g., <center>Title</center>).
- */
-function buildLabelMap(valuesArraySource) {
-  const map = new Map();
-  const objects = extractTopLevelObjects(valuesArraySource);
-
-  for (const objectSource of objects) {
-    const value =
-      (/[\s,{]value\s*:\s*(['"])([\s\S]*?)\1/.exec(objectSource) || [])[2] ||
-      (/[\s,{]value\s*:\s*\{([\s\S]*?)\}/.exec(objectSource) || [])[1] ||
-      (/[\s,{]value\s*:\s*([^\s,}]+)/.exec(objectSource) || [])[1] ||
-      '';
-
-    if (!value) continue;
-
-    let rawLabel =
-      (/[\s,{]label\s*:\s*(['"])([\s\S]*?)\1/.exec(objectSource) || [])[2] ||
-      (/[\s,{]label\s*:\s*\{([\s\S]*?)\}/.exec(objectSource) || [])[1] ||
-      (/[\s,{]label\s*:\s*([\s\S]*?)(?:,|})/.exec(objectSource) || [])[1] ||
-      '';
-
-    rawLabel = stripWrappingDelimiters(rawLabel);
-    const cleaned = sanitizeLabel(rawLabel, value);
-    map.set(value, cleaned);
-  }
+function isTabItem(node) {
+  return isJsx(node) && node.name === 'TabItem';
+}
 
-  return map;
+function isBlankText(node) {
+  return node?.type === 'text' && !node.value.trim();
 }
 
-function extractTopLevelObjects(source) {
-  const results = [];
-  let depth = 0;
-  let startIndex = -1;
-
-  for (let i = 0; i < source.length; i++) {
-    const ch = source[i];
-    if (ch === '{') {
-      if (depth === 0) startIndex = i;
-      depth++;
-    } else if (ch === '}') {
-      depth--;
-      if (depth === 0 && startIndex >= 0) {
-        results.push(source.slice(startIndex, i + 1));
-        startIndex = -1;
-      }
-    }
-  }
+function attribute(node, name) {
+  return (node.attributes || []).find(
+    (attr) => attr.type === 'mdxJsxAttribute' && attr.name === name,
+  );
+}
 
-  if (!results.length) {
-    const lax = /\{[\s\S]*?\}/g;
-    let match;
-    while ((match = lax.exec(source)) !== null) results.push(match[0]);
-  }
-  return results;
+function hasAttribute(node, name) {
+  const attr = attribute(node, name);
+  if (!attr) return false;
+  // `default` alone (null) or `default={true}`
+  return attr.value == null || expressionOf(attr)?.value === true;
 }
 
-function getAttr(attributeString, name) {
-  if (!attributeString) return '';
-  let m = new RegExp(`${name}\\s*=\\s*"([^"]*)"`).exec(attributeString);
-  if (m) return m[1].trim();
-  m = new RegExp(`${name}\\s*=\\s*'([^']*)'`).exec(attributeString);
-  if (m) return m[1].trim();
-  m = new RegExp(`${name}\\s*=\\s*\\{([\\s\\S]*?)\\}`).exec(attributeString);
-  if (m) return m[1].trim();
-  return '';
+/** Parsed expression of an `attr={…}` value, when there is one. */
+function expressionOf(attr) {
+  const program = attr?.value?.data?.estree;
+  const statement = program?.body?.[0];
+  return statement?.type === 'ExpressionStatement' ? statement.expression : null;
 }
 
-function stripWrappingDelimiters(text) {
-  let s = String(text || '').trim();
-  if (s.startsWith('{') && s.endsWith('}')) s = s.slice(1, -1).trim();
-  if ((s.startsWith("'") && s.endsWith("'")) || (s.startsWith('"') && s.endsWith('"'))) {
-    s = s.slice(1, -1).trim();
-  }
-  return s;
+/** `attr="x"` or `attr={'x'}` → 'x'; anything else → null. */
+function stringValue(attr) {
+  if (!attr) return null;
+  if (typeof attr.value === 'string') return attr.value;
+  return textOf(expressionOf(attr)) || null;
+}
+
+/** Title text for a `label`: strings as-is, JSX reduced to its text. */
+function labelText(attr) {
+  if (!attr) return '';
+  if (typeof attr.value === 'string') return attr.value.trim();
+  return textOf(expressionOf(attr)).trim();
 }
 
-function sanitizeLabel(raw, fallback = '') {
-  const withoutTags = String(raw || '')
-    .replace(/<[^>]+>/g, '')
-    .trim();
-  return withoutTags || fallback;
+/** `values={[{label, value}, …]}` → Map<value, label>. */
+function labelsFromValues(attr) {
+  const labels = new Map();
+  const list = expressionOf(attr);
+  if (list?.type !== 'ArrayExpression') return labels;
+
+  for (const element of list.elements) {
+    if (element?.type !== 'ObjectExpression') continue;
+    const props = new Map();
+    for (const prop of element.properties) {
+      if (prop.type !== 'Property') continue;
+      const key = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+      props.set(key, prop.value);
+    }
+    const value = textOf(props.get('value'));
+    if (value) labels.set(value, textOf(props.get('label')).trim() || value);
+  }
+  return labels;
 }
 
-function escapeHtmlAttribute(str) {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/"/g, '&quot;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+/** Static text of an estree expression: literals, plain templates and JSX text. */
+function textOf(expression) {
+  if (!expression) return '';
+  switch (expression.type) {
+    case 'Literal':
+      return expression.value == null ? '' : String(expression.value);
+    case 'TemplateLiteral':
+      return expression.expressions.length
+        ? ''
+        : expression.quasis.map((quasi) => quasi.value.cooked).join('');
+    case 'JSXElement':
+    case 'JSXFragment':
+      return expression.children.map(textOf).join('');
+    case 'JSXText':
+      return expression.value.replace(/\s+/g, ' ');
+    case 'JSXExpressionContainer':
+      return textOf(expression.expression);
+    default:
+      return '';
+  }
 }
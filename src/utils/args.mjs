@@ -1,13 +1,18 @@
 export function parseArgs(argv) {
   const out = {};
+  // A flag given more than once (e.g. --exclude) collects its values in an array
+  const set = (key, value) => {
+    if (!(key in out)) out[key] = value;
+    else out[key] = [].concat(out[key], value);
+  };
   for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
     if (a.startsWith('--')) {
       const key = a.slice(2);
       const next = argv[i + 1];
-      if (!next || next.startsWith('--')) out[key] = true;
+      if (!next || next.startsWith('--')) set(key, true);
       else {
-        out[key] = next;
+        set(key, next);
         i++;
       }
     }
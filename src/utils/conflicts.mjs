@@ -0,0 +1,120 @@
+// src/utils/conflicts.mjs
+import path from 'node:path';
+
+import { hashFileIfExists } from './manifest.mjs';
+
+/** What to do when an output path is already taken. */
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'suffix', 'fail'];
+
+/**
+ * @typedef {Object} OutputConflict
+ * @property {'duplicate'|'existing'} kind - Two sources → one output, or a file we did not write
+ * @property {string} output - Contested output path, relative to the destination root
+ * @property {string[]} sources - Source paths involved (the claimant first for duplicates)
+ * @property {'skipped'|'overwritten'|'suffixed'|'failed'} action
+ * @property {string|null} writtenTo - With `suffix`: where the source is written instead
+ */
+
+/**
+ * Find output collisions before anything is written, and apply the conflict policy.
+ *
+ * An output conflicts when an earlier source already claimed the same path (compared
+ * case-insensitively, like ReadMe slugs), or when a file exists there that the migration
+ * manifest does not list with the same content (hand-written or edited after migrating).
+ *
+ * Destinations are updated in place: `suffix` moves `finalAbsolute` to the first free
+ * `name-2.md`, `name-3.md`, …; `skip` and `fail` set `conflict` so the file is not written.
+ *
+ * @param {Array<{absolutePath: string, relPath: string}>} docs - In processing order
+ * @param {Map<string, {finalAbsolute: string}>} destinations - Keyed by absolute source path
+ * @param {Object} opts
+ * @param {string} opts.destRoot
+ * @param {{files: Object<string, {output: string, outputHash: string|null}>}} opts.manifest
+ * @param {'skip'|'overwrite'|'suffix'|'fail'} [opts.policy='skip']
+ * @returns {Promise<OutputConflict[]>}
+ */
+export async function resolveOutputConflicts(
+  docs,
+  destinations,
+  { destRoot, manifest, policy = 'skip' },
+) {
+  const written = new Map();
+  for (const entry of Object.values(manifest?.files || {})) {
+    if (entry?.output && entry.outputHash)
+      written.set(entry.output.toLowerCase(), entry.outputHash);
+  }
+
+  const claimed = new Map(); // lowercased absolute output → source relPath
+  const conflicts = [];
+
+  // Free: nobody claimed it this run, and it is either missing or still our own output
+  const isFree = async (candidate) => {
+    if (claimed.has(candidate.toLowerCase())) return false;
+    const onDisk = await hashFileIfExists(candidate);
+    return !onDisk || written.get(path.relative(destRoot, candidate).toLowerCase()) === onDisk;
+  };
+
+  for (const doc of docs) {
+    const destination = destinations.get(doc.absolutePath);
+    if (!destination) continue;
+    const key = destination.finalAbsolute.toLowerCase();
+    const outputRel = path.relative(destRoot, destination.finalAbsolute);
+
+    let conflict = null;
+    if (claimed.has(key)) {
+      conflict = { kind: 'duplicate', output: outputRel, sources: [claimed.get(key), doc.relPath] };
+    } else {
+      const onDisk = await hashFileIfExists(destination.finalAbsolute);
+      if (onDisk && written.get(outputRel.toLowerCase()) !== onDisk) {
+        conflict = { kind: 'existing', output: outputRel, sources: [doc.relPath] };
+      }
+    }
+
+    if (!conflict) {
+      claimed.set(key, doc.relPath);
+      continue;
+    }
+
+    conflict.writtenTo = null;
+    if (policy === 'overwrite') {
+      conflict.action = 'overwritten';
+      claimed.set(key, doc.relPath);
+    } else if (policy === 'suffix') {
+      destination.finalAbsolute = await nextFreePath(destination.finalAbsolute, isFree);
+      conflict.action = 'suffixed';
+      conflict.writtenTo = path.relative(destRoot, destination.finalAbsolute);
+      claimed.set(destination.finalAbsolute.toLowerCase(), doc.relPath);
+    } else {
+      conflict.action = policy === 'fail' ? 'failed' : 'skipped';
+      destination.conflict = conflict;
+    }
+    conflicts.push(conflict);
+  }
+
+  return conflicts;
+}
+
+/** Human-readable log message for a conflict. */
+export function describeConflict(conflict) {
+  const what =
+    conflict.kind === 'duplicate'
+      ? `${conflict.sources.join(' and ')} both migrate to ${conflict.output}`
+      : `${conflict.output} already exists and was not written by this tool`;
+  const outcome = {
+    skipped: 'not written',
+    overwritten: 'overwritten',
+    suffixed: `written to ${conflict.writtenTo} instead`,
+    failed: 'run aborted',
+  }[conflict.action];
+  return `${what}; ${outcome}.`;
+}
+
+async function nextFreePath(absolutePath, isFree) {
+  const dir = path.dirname(absolutePath);
+  const ext = path.extname(absolutePath);
+  const base = path.basename(absolutePath, ext);
+  for (let n = 2; ; n++) {
+    const candidate = path.join(dir, `${base}-${n}${ext}`);
+    if (await isFree(candidate)) return candidate;
+  }
+}
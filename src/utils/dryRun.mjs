@@ -0,0 +1,158 @@
+// src/utils/dryRun.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import pc from 'picocolors';
+
+/**
+ * Collects everything a migration run *would* write, without touching the filesystem.
+ *
+ * - files: one entry per output file, classified as create | overwrite | unchanged | skip | delete
+ * - indexes: folders that would receive a generated index.md
+ * - orderYaml: `_order.yaml` files whose content would change ({ path, before, after })
+ * - logRows: rows that would be appended to _log.csv
+ * - pendingUploads: images that would be uploaded with --upload-images
+ */
+export function createDryRunPlan() {
+  const files = [];
+  const logRows = [];
+
+  return {
+    files,
+    indexes: [],
+    orderYaml: [],
+    logRows,
+    pendingUploads: 0,
+
+    /**
+     * Record a file the run would write, comparing against what is on disk now.
+     * Pass `content = null` for files that are always rewritten (logs, reports).
+     */
+    async addFile(absolutePath, content, note = '') {
+      let existing = null;
+      try {
+        existing = await fs.readFile(absolutePath, 'utf8');
+      } catch {
+        // Not on disk yet: it would be created
+      }
+      let action = 'overwrite';
+      if (existing == null) action = 'create';
+      else if (content != null && existing === content) action = 'unchanged';
+      files.push({ path: absolutePath, action, note });
+    },
+
+    /** Record an output kept as-is because its source did not change since the last run. */
+    keepFile(absolutePath, note = '') {
+      files.push({ path: absolutePath, action: 'unchanged', note });
+    },
+
+    /** Record an existing output the run would delete. */
+    removeFile(absolutePath, note = '') {
+      files.push({ path: absolutePath, action: 'delete', note });
+    },
+
+    /** Record a source file that would not produce output (e.g. it fails to convert). */
+    skipFile(sourcePath, reason) {
+      files.push({ path: sourcePath, action: 'skip', note: reason });
+    },
+
+    /** Drop-in replacement for `appendToLog` that only counts rows. */
+    async appendToLog(_logPath, type, file, errorMsg) {
+      logRows.push({ type, file, errorMsg });
+    },
+
+    /** Absolute paths of every file that would exist after the run. */
+    plannedPaths() {
+      return files.filter((f) => f.action !== 'skip' && f.action !== 'delete').map((f) => f.path);
+    },
+  };
+}
+
+/**
+ * Print a human-readable plan for a dry run.
+ * Paths are shown relative to `destRoot` where possible.
+ */
+export function printDryRunPlan(plan, destRoot) {
+  const rel = (p) => {
+    const r = path.relative(destRoot, p);
+    return r && !r.startsWith('..') && !path.isAbsolute(r) ? r : p;
+  };
+  const colorFor = {
+    create: pc.green,
+    overwrite: pc.yellow,
+    unchanged: pc.gray,
+    skip: pc.red,
+    delete: pc.magenta,
+  };
+
+  console.log(pc.bold('\nDry run: nothing was written.\n'));
+
+  console.log(pc.bold('Files:'));
+  for (const f of plan.files) {
+    const label = colorFor[f.action](f.action.padEnd(9));
+    console.log(`  ${label} ${rel(f.path)}${f.note ? pc.gray(`  (${f.note})`) : ''}`);
+  }
+
+  if (plan.indexes.length) {
+    console.log(pc.bold('\nFolders that would get an index.md:'));
+    for (const p of plan.indexes) console.log(`  ${pc.green('create')}    ${rel(p)}`);
+  }
+
+  if (plan.orderYaml.length) {
+    console.log(pc.bold('\n_order.yaml changes:'));
+    for (const change of plan.orderYaml) {
+      console.log(`  ${rel(change.path)}`);
+      for (const line of diffLines(change.before, change.after)) {
+        if (line.op === '+') console.log(pc.green(`    + ${line.text}`));
+        else if (line.op === '-') console.log(pc.red(`    - ${line.text}`));
+        else console.log(pc.gray(`      ${line.text}`));
+      }
+    }
+  }
+
+  const counts = plan.files.reduce(
+    (acc, f) => ({ ...acc, [f.action]: (acc[f.action] || 0) + 1 }),
+    {},
+  );
+  console.log(
+    pc.bold('\nSummary: ') +
+      ['create', 'overwrite', 'unchanged', 'skip', 'delete']
+        .map((a) => `${counts[a] || 0} ${a}`)
+        .join(', ') +
+      `; ${plan.indexes.length} index.md; ${plan.orderYaml.length} _order.yaml; ` +
+      `${plan.logRows.length} log row(s)` +
+      (plan.pendingUploads ? `; ${plan.pendingUploads} image upload(s) skipped` : ''),
+  );
+}
+
+/** Minimal LCS line diff (the inputs are short `_order.yaml` lists). */
+function diffLines(before, after) {
+  const a = String(before || '')
+    .split('\n')
+    .filter(Boolean);
+  const b = String(after || '')
+    .split('\n')
+    .filter(Boolean);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ op: ' ', text: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: '-', text: a[i++] });
+    } else {
+      out.push({ op: '+', text: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ op: '-', text: a[i++] });
+  while (j < b.length) out.push({ op: '+', text: b[j++] });
+  return out;
+}
@@ -3,6 +3,14 @@ import path from 'node:path';
 import yaml from 'js-yaml';
 import pc from 'picocolors';
 
+import {
+  toOrderSlug,
+  mergeOrder,
+  sortByPosition,
+  parseOrderYaml,
+  formatOrderYaml,
+} from './ordering.mjs';
+
 /**
  * Recursively discover Markdown files under `root`.
  * Optionally include `.mdx` files when `includeMdx` is true.
@@ -43,56 +51,161 @@ export async function findMarkdownFilesRecursive(rootDirectory, { includeMdx = f
   return discoveredFiles;
 }
 
+/**
+ * Build a virtual directory listing from files that a run *would* write (dry-run).
+ * Returns Map<absoluteDir, Map<entryName, 'dir'|'file'>> covering every ancestor up to root.
+ *
+ * @param {string} rootDirectory
+ * @param {string[]} plannedFiles - Absolute paths of files that would be written
+ */
+export function buildPlannedOverlay(rootDirectory, plannedFiles = []) {
+  const overlay = new Map();
+  const add = (directoryPath, name, kind) => {
+    if (!overlay.has(directoryPath)) overlay.set(directoryPath, new Map());
+    const entries = overlay.get(directoryPath);
+    if (entries.get(name) !== 'dir') entries.set(name, kind);
+  };
+
+  for (const filePath of plannedFiles) {
+    const rel = path.relative(rootDirectory, filePath);
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) continue;
+    let child = filePath;
+    let kind = 'file';
+    let parent = path.dirname(child);
+    while (child !== rootDirectory && parent !== child) {
+      add(parent, path.basename(child), kind);
+      if (parent === rootDirectory) break;
+      child = parent;
+      kind = 'dir';
+      parent = path.dirname(child);
+    }
+  }
+  return overlay;
+}
+
+/**
+ * Read a directory's entries merged with the dry-run overlay (if any).
+ * Missing directories yield an empty list.
+ * @returns {Promise<Array<{name: string, isDirectory: boolean, isFile: boolean}>>}
+ */
+async function readDirectoryEntries(directoryPath, overlay) {
+  const merged = new Map();
+  try {
+    for (const entry of await fs.readdir(directoryPath, { withFileTypes: true })) {
+      merged.set(entry.name, { isDirectory: entry.isDirectory(), isFile: entry.isFile() });
+    }
+  } catch {
+    // Missing directory: only the overlay (if any) contributes entries
+  }
+
+  for (const [name, kind] of overlay?.get(directoryPath) || []) {
+    if (!merged.has(name))
+      merged.set(name, { isDirectory: kind === 'dir', isFile: kind === 'file' });
+  }
+  return [...merged].map(([name, info]) => ({ name, ...info }));
+}
+
+async function fileExists(filePath, overlay) {
+  if (overlay?.get(path.dirname(filePath))?.get(path.basename(filePath)) === 'file') return true;
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Ensure each folder in `root` contains an `index.md`.
- * Title is the folder's basename (exactly as written).
+ * Title is the folder's basename (exactly as written), unless `titles` names it.
+ *
+ * With `dryRun`, nothing is written: `plannedFiles` stand in for files the run would have
+ * written, and the returned list says which folders would get an `index.md`.
+ *
+ * @param {string} rootDirectory
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dryRun=false]
+ * @param {string[]} [opts.plannedFiles=[]] - Absolute paths that would be written (dry-run only)
+ * @param {Map<string, string>} [opts.titles] - Absolute folder → title override (e.g. sidebar labels)
+ * @returns {Promise<string[]>} Absolute paths of the created (or would-be) index.md files
  */
-export async function ensureIndexesForCreatedDirs(rootDirectory) {
+export async function ensureIndexesForCreatedDirs(
+  rootDirectory,
+  { dryRun = false, plannedFiles = [], titles = new Map() } = {},
+) {
+  const overlay = dryRun ? buildPlannedOverlay(rootDirectory, plannedFiles) : null;
+  const created = [];
+
   async function recurse(directoryPath) {
     const indexMdPath = path.join(directoryPath, 'index.md');
 
-    try {
-      await fs.access(indexMdPath);
-    } catch {
+    if (!(await fileExists(indexMdPath, overlay))) {
       const frontmatter = {
-        title: path.basename(directoryPath),
+        title: titles.get(directoryPath) || path.basename(directoryPath),
         deprecated: false,
         hidden: false,
         metadata: { robots: 'index' },
       };
-      const yamlBlock = yaml.dump(frontmatter, { lineWidth: 0 });
-      await fs.writeFile(indexMdPath, `---\n${yamlBlock}---\n`, 'utf8');
-      console.log(pc.blue(`Created index.md in ${directoryPath} (title: "${frontmatter.title}")`));
+      created.push(indexMdPath);
+      if (!dryRun) {
+        const yamlBlock = yaml.dump(frontmatter, { lineWidth: 0 });
+        await fs.writeFile(indexMdPath, `---\n${yamlBlock}---\n`, 'utf8');
+        console.log(
+          pc.blue(`Created index.md in ${directoryPath} (title: "${frontmatter.title}")`),
+        );
+      }
     }
 
-    const entries = await fs.readdir(directoryPath, { withFileTypes: true });
+    const entries = await readDirectoryEntries(directoryPath, overlay);
     for (const entry of entries) {
-      if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+      if (entry.isDirectory && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
         await recurse(path.join(directoryPath, entry.name));
       }
     }
   }
 
   await recurse(rootDirectory);
+  return created;
 }
 
 /**
- * If a folder contains `_order.yaml`, rewrite it to list folders and `.md` files
+ * Keep each folder's `_order.yaml` in sync with its folders and `.md` files, listed
  * as lowercase, dash-separated slugs (excluding index.md and internal files).
+ *
+ * Entries already in `_order.yaml` keep their order; new slugs are appended, sorted by
+ * `positions` (Docusaurus `sidebar_position` / `_category_` position) and then alphabetically.
+ * Folders without an `_order.yaml` are left alone unless `createMissing` is set.
+ *
+ * With `dryRun`, nothing is written; `plannedFiles` are merged into each listing.
+ *
+ * @param {string} rootDirectory
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dryRun=false]
+ * @param {string[]} [opts.plannedFiles=[]] - Absolute paths that would be written (dry-run only)
+ * @param {Map<string, Map<string, number>>} [opts.positions] - Absolute folder → slug → position
+ * @param {boolean} [opts.createMissing=false] - Create `_order.yaml` where none exists yet
+ * @returns {Promise<Array<{path: string, before: string, after: string}>>} Changed files
  */
-export async function updateAllOrderYamlIfPresent(rootDirectory) {
+export async function updateAllOrderYamlIfPresent(
+  rootDirectory,
+  { dryRun = false, plannedFiles = [], positions = new Map(), createMissing = false } = {},
+) {
+  const overlay = dryRun ? buildPlannedOverlay(rootDirectory, plannedFiles) : null;
+  const changes = [];
+
   async function updateOrderYamlInDirectory(directoryPath) {
     const orderYamlPath = path.join(directoryPath, '_order.yaml');
 
+    let before = null;
     try {
-      await fs.access(orderYamlPath);
+      before = await fs.readFile(orderYamlPath, 'utf8');
     } catch {
-      return; // nothing to update in this directory
+      if (!createMissing) return; // nothing to update in this directory
     }
 
-    const entries = await fs.readdir(directoryPath, { withFileTypes: true });
+    const entries = await readDirectoryEntries(directoryPath, overlay);
 
-    const items = entries
+    const present = entries
       .filter((entry) => {
         const name = entry.name;
         if (name === '_order.yaml') return false;
@@ -103,34 +216,40 @@ export async function updateAllOrderYamlIfPresent(rootDirectory) {
         if (name.startsWith('.')) return false;
         if (name.startsWith('_')) return false;
 
-        if (entry.isDirectory()) return true;
-        if (entry.isFile() && path.extname(name).toLowerCase() === '.md') return true;
+        if (entry.isDirectory) return true;
+        if (entry.isFile && path.extname(name).toLowerCase() === '.md') return true;
         return false;
       })
-      .map((entry) => {
-        const baseName = entry.isFile()
-          ? path.basename(entry.name, path.extname(entry.name))
-          : entry.name;
-        const slug = baseName.toLowerCase().replace(/\s+/g, '-');
-        return `- ${slug}`;
-      })
-      .sort((a, b) => a.localeCompare(b));
-
-    const yamlList = items.join('\n') + (items.length ? '\n' : '');
+      .map((entry) => toOrderSlug(entry.name, entry.isFile));
+
+    const folderPositions = positions.get(directoryPath) || new Map();
+    const slugs =
+      before == null
+        ? sortByPosition(present, folderPositions)
+        : mergeOrder(parseOrderYaml(before), present, folderPositions);
+    if (before == null && !slugs.length) return;
+
+    const yamlList = formatOrderYaml(slugs);
+    if (yamlList === before) return;
+    changes.push({ path: orderYamlPath, before: before ?? '', after: yamlList });
+    if (dryRun) return;
     await fs.writeFile(orderYamlPath, yamlList, 'utf8');
-    console.log(pc.blue(`Updated _order.yaml in ${directoryPath}`));
+    console.log(
+      pc.blue(`${before == null ? 'Created' : 'Updated'} _order.yaml in ${directoryPath}`),
+    );
   }
 
   async function recurse(directoryPath) {
     await updateOrderYamlInDirectory(directoryPath);
 
-    const entries = await fs.readdir(directoryPath, { withFileTypes: true });
+    const entries = await readDirectoryEntries(directoryPath, overlay);
     for (const entry of entries) {
-      if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+      if (entry.isDirectory && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
         await recurse(path.join(directoryPath, entry.name));
       }
     }
   }
 
   await recurse(rootDirectory);
+  return changes;
 }
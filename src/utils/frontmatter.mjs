@@ -1,9 +1,123 @@
-export function buildReadmeFM(_customerFM, title) {
-  // Intentionally ignore sidebar_position / sidebar_label (not used by ReadMe)
-  return {
+import fs from 'node:fs/promises';
+import yaml from 'js-yaml';
+
+/**
+ * Default customer (Docusaurus) → ReadMe frontmatter mapping.
+ *
+ * Each key is a customer frontmatter key. Values are either:
+ *  - a dot-path into the ReadMe frontmatter (e.g. `metadata.image`)
+ *  - `{ to, transform }` where transform is one of `boolean`, `join`, `slug`, `string`
+ *  - `null` to drop the key on purpose (it is then not reported as unmapped)
+ *
+ * When several keys map to the same boolean target (draft/unlisted → hidden) they are OR-ed;
+ * otherwise the first key with a value wins.
+ */
+export const DEFAULT_FRONTMATTER_MAP = Object.freeze({
+  // Consumed elsewhere: the title is derived by the pipeline, positions drive ordering.
+  title: null,
+  sidebar_label: null,
+  sidebar_position: null,
+  id: null,
+
+  description: 'excerpt',
+  slug: { to: 'slug', transform: 'slug' },
+  keywords: { to: 'metadata.keywords', transform: 'join' },
+  image: 'metadata.image',
+  draft: { to: 'hidden', transform: 'boolean' },
+  unlisted: { to: 'hidden', transform: 'boolean' },
+});
+
+/**
+ * Load a frontmatter mapping file (JSON or YAML) and merge it over the defaults.
+ * @param {string} filePath
+ * @returns {Promise<Object>} mapping
+ */
+export async function loadFrontmatterMap(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  const parsed = yaml.load(raw);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Frontmatter map ${filePath} must be an object of key → target.`);
+  }
+  return { ...DEFAULT_FRONTMATTER_MAP, ...parsed };
+}
+
+/**
+ * Build ReadMe frontmatter from the customer's frontmatter.
+ *
+ * @param {Object} customerFM - Parsed customer frontmatter
+ * @param {string} title - Title derived by the pipeline
+ * @param {Object} [mapping=DEFAULT_FRONTMATTER_MAP]
+ * @returns {{frontmatter: Object, unmappedKeys: string[]}}
+ */
+export function buildReadmeFM(customerFM, title, mapping = DEFAULT_FRONTMATTER_MAP) {
+  const frontmatter = {
     title,
     deprecated: false,
     hidden: false,
     metadata: { robots: 'index' },
   };
+  const assigned = new Set();
+  const unmappedKeys = [];
+
+  for (const [key, value] of Object.entries(customerFM || {})) {
+    if (!Object.prototype.hasOwnProperty.call(mapping, key)) {
+      unmappedKeys.push(key);
+      continue;
+    }
+    const rule = normalizeRule(mapping[key]);
+    if (!rule || value == null) continue;
+
+    const converted = applyTransform(value, rule.transform);
+    if (converted == null || converted === '') continue;
+
+    if (rule.transform === 'boolean') {
+      setPath(frontmatter, rule.to, Boolean(getPath(frontmatter, rule.to)) || converted);
+    } else if (!assigned.has(rule.to)) {
+      setPath(frontmatter, rule.to, converted);
+    }
+    assigned.add(rule.to);
+  }
+
+  return { frontmatter, unmappedKeys };
+}
+
+function normalizeRule(rule) {
+  if (!rule) return null;
+  if (typeof rule === 'string') return { to: rule, transform: null };
+  if (typeof rule === 'object' && typeof rule.to === 'string') {
+    return { to: rule.to, transform: rule.transform || null };
+  }
+  return null;
+}
+
+function applyTransform(value, transform) {
+  switch (transform) {
+    case 'boolean':
+      return value === true || String(value).toLowerCase() === 'true';
+    case 'join':
+      return Array.isArray(value) ? value.map(String).join(', ') : String(value);
+    case 'slug': {
+      // Docusaurus slugs can be paths ("/guides/setup"); ReadMe slugs are one segment.
+      const segments = String(value).split('/').filter(Boolean);
+      return segments.length ? segments[segments.length - 1] : '';
+    }
+    case 'string':
+      return String(value);
+    default:
+      return value;
+  }
+}
+
+function getPath(obj, dotPath) {
+  return dotPath.split('.').reduce((acc, part) => (acc == null ? acc : acc[part]), obj);
+}
+
+function setPath(obj, dotPath, value) {
+  const parts = dotPath.split('.');
+  let cursor = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (!cursor[part] || typeof cursor[part] !== 'object') cursor[part] = {};
+    cursor = cursor[part];
+  }
+  cursor[parts[parts.length - 1]] = value;
 }
@@ -0,0 +1,109 @@
+// src/utils/globs.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** Ignore file read from the source root; `.gitignore` syntax. */
+export const IGNORE_FILE = '.migrationignore';
+
+/**
+ * Compile a glob to a RegExp over `/`-separated paths relative to the source root, with
+ * `.gitignore` semantics: `*`, `?`, `[abc]`, `{a,b}` and `**`; a pattern without a slash
+ * (`README.md`, `_partials`) matches at any depth, a leading `/` anchors it to the root, a
+ * trailing `/` only matches folders, and a pattern matching a folder matches everything in it.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let glob = String(pattern).trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  const dirOnly = glob.endsWith('/');
+  glob = glob.replace(/\/+$/, '');
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+      i++;
+      if (atStart && glob[i + 1] === '/') {
+        source += '(?:.*/)?'; // `**/`: any number of folders, including none
+        i++;
+      } else if (atStart && atEnd) {
+        source += '.*';
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '*') source += '[^/]*';
+    else if (ch === '?') source += '[^/]';
+    else if (ch === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) source += '\\[';
+      else {
+        source += `[${glob
+          .slice(i + 1, end)
+          .replace(/^!/, '^')
+          .replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (ch === '{') {
+      braces++;
+      source += '(?:';
+    } else if (ch === '}' && braces) {
+      braces--;
+      source += ')';
+    } else if (ch === ',' && braces) source += '|';
+    else source += ch.replace(/[.+^$()|\\]/g, '\\$&');
+  }
+
+  const prefix = anchored ? '' : '(?:.*/)?';
+  const suffix = dirOnly ? '/.*' : '(?:/.*)?';
+  return new RegExp(`^${prefix}${source}${suffix}$`);
+}
+
+/**
+ * Build the source file filter from `--include`/`--exclude` globs and the source root's
+ * `.migrationignore` (later lines win; `!pattern` re-includes, `#` starts a comment).
+ *
+ * @param {string} srcRoot
+ * @param {Object} [opts]
+ * @param {string[]} [opts.include=[]] - When given, only files matching one of them
+ * @param {string[]} [opts.exclude=[]]
+ * @returns {Promise<(relPath: string) => string|null>} Why a file is skipped, or null
+ */
+export async function createSourceFilter(srcRoot, { include = [], exclude = [] } = {}) {
+  const includes = include.map((pattern) => ({ pattern, re: globToRegExp(pattern) }));
+  const excludes = exclude.map((pattern) => ({ pattern, re: globToRegExp(pattern) }));
+
+  let ignoreRules = [];
+  try {
+    ignoreRules = (await fs.readFile(path.join(srcRoot, IGNORE_FILE), 'utf8'))
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'))
+      .map((line) => {
+        const negated = line.startsWith('!');
+        const pattern = negated ? line.slice(1) : line;
+        return { pattern, negated, re: globToRegExp(pattern) };
+      });
+  } catch {
+    // No ignore file
+  }
+
+  return (relPath) => {
+    if (includes.length && !includes.some(({ re }) => re.test(relPath))) {
+      return 'not matched by --include';
+    }
+    const excluded = excludes.find(({ re }) => re.test(relPath));
+    if (excluded) return `matches --exclude ${excluded.pattern}`;
+
+    let ignoredBy = null;
+    for (const rule of ignoreRules) {
+      if (rule.re.test(relPath)) ignoredBy = rule.negated ? null : rule.pattern;
+    }
+    return ignoredBy ? `matches ${IGNORE_FILE} ${ignoredBy}` : null;
+  };
+}
@@ -0,0 +1,81 @@
+// src/utils/http.mjs
+import { setTimeout as sleep } from 'node:timers/promises';
+import { fetch } from 'undici';
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Retry tuning shared by every ReadMe API call.
+ * @typedef {Object} RetrySettings
+ * @property {number} retries - Extra attempts after the first one for 429/5xx/network errors/timeouts
+ * @property {number} timeoutMs - Per-request timeout
+ * @property {number} backoffMs - Exponential backoff base (Retry-After wins when sent)
+ * @property {number} maxBackoffMs - Backoff cap, also the longest Retry-After waited for
+ */
+
+/**
+ * `fetch` with a timeout, retrying 429/5xx responses, network errors and timeouts with
+ * exponential backoff. Any other response, successful or not, is returned as is.
+ *
+ * @param {string} url
+ * @param {() => Object} init - Builds the `fetch` options for each attempt (bodies such as
+ *   `FormData` can't be sent twice)
+ * @param {RetrySettings} settings
+ * @param {string} [label='Request'] - Starts error messages (`Upload failed (503 …)`)
+ * @returns {Promise<import('undici').Response>}
+ */
+export async function fetchWithRetry(url, init, settings, label = 'Request') {
+  const maxAttempts = Math.max(0, Number(settings.retries) || 0) + 1;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let retryAfterMs = null;
+    let res = null;
+
+    try {
+      res = await fetch(url, { ...init(), signal: AbortSignal.timeout(settings.timeoutMs) });
+    } catch (err) {
+      if (!isRetryableError(err)) throw err;
+      lastError =
+        err.name === 'TimeoutError'
+          ? new Error(`${label} timed out after ${settings.timeoutMs}ms`)
+          : err;
+    }
+
+    if (res) {
+      if (!RETRYABLE_STATUS.has(res.status)) return res;
+      const text = await res.text().catch(() => '');
+      lastError = new Error(
+        `${label} failed (${res.status} ${res.statusText}): ${text.slice(0, 500)}`,
+      );
+      retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+    }
+
+    if (attempt < maxAttempts) {
+      const delay = retryAfterMs ?? settings.backoffMs * 2 ** (attempt - 1);
+      await sleep(Math.min(settings.maxBackoffMs, delay));
+    }
+  }
+
+  const reason = String(lastError && (lastError.message || lastError));
+  throw new Error(`${reason} (gave up after ${maxAttempts} attempt(s))`);
+}
+
+/** Network failures and timeouts are worth retrying; programming errors are not. */
+function isRetryableError(err) {
+  if (!err) return false;
+  if (err.name === 'TimeoutError' || err.name === 'AbortError') return true;
+  return err instanceof TypeError && /fetch failed|network|socket/i.test(String(err.message));
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,138 @@
+// src/utils/manifest.mjs
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** Migration manifest, stored under the destination root. */
+export const MANIFEST_FILE = '_migration-manifest.json';
+
+/**
+ * Version of the conversion output. Bump it whenever a transform changes what gets written,
+ * so the next incremental run reconverts every file instead of trusting old outputs.
+ */
+export const TRANSFORM_VERSION = 10;
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * One converted source file, keyed by its posix path relative to the source root.
+ *
+ * @typedef {Object} ManifestEntry
+ * @property {string|null} hash - sha256 of the source text (null: convert again next run)
+ * @property {number} transformVersion - `TRANSFORM_VERSION` that produced the output
+ * @property {string} settings - `fingerprintSettings()` of the run that produced the output
+ * @property {string} output - Output path relative to the destination root
+ * @property {string|null} outputHash - sha256 of what was written, to detect hand edits
+ * @property {string|null} copiedTo - Path of the `--copy` mirror relative to the copy root, if any
+ * @property {Object<string, string|null>} links - Doc link href → rewritten href (null: broken)
+ * @property {Object<string, string|null>} [partials] - Path of each inlined partial, relative to
+ *   the source root → sha256
+ * @property {Array<Array>} logRows - `[type, message, removedCode, images]` rows to replay
+ * @property {Object} report - The file's `migration-report.json` entry
+ * @property {string} migratedAt
+ */
+
+/** sha256 hex digest of a string or buffer. */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/** sha256 of a file on disk, or null when it does not exist. */
+export async function hashFileIfExists(filePath) {
+  try {
+    return hashContent(await fs.readFile(filePath));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash the run options that change every file's output (link style, frontmatter mapping, …).
+ * Key order does not matter.
+ */
+export function fingerprintSettings(settings) {
+  const stable = (value) => {
+    if (Array.isArray(value)) return value.map(stable);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value)
+          .sort()
+          .map((k) => [k, stable(value[k])]),
+      );
+    }
+    return value;
+  };
+  return hashContent(JSON.stringify(stable(settings ?? {})));
+}
+
+/**
+ * Read the manifest from `destRoot`. A missing, unreadable or older-format manifest yields
+ * an empty one, which makes the run convert everything.
+ *
+ * @returns {Promise<{files: Object<string, ManifestEntry>}>}
+ */
+export async function loadManifest(destRoot) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(path.join(destRoot, MANIFEST_FILE), 'utf8'));
+    if (parsed && parsed.version === MANIFEST_VERSION && parsed.files) {
+      return { files: parsed.files };
+    }
+  } catch {
+    // First run (or a damaged manifest): start from scratch
+  }
+  return { files: {} };
+}
+
+/**
+ * Write the manifest to `destRoot` through a temp file, so an interrupted run never leaves
+ * half a JSON file behind.
+ */
+export async function saveManifest(destRoot, manifest) {
+  const target = path.join(destRoot, MANIFEST_FILE);
+  const body = {
+    version: MANIFEST_VERSION,
+    transformVersion: TRANSFORM_VERSION,
+    updatedAt: new Date().toISOString(),
+    files: Object.fromEntries(
+      Object.entries(manifest.files).sort(([a], [b]) => a.localeCompare(b)),
+    ),
+  };
+  const tmp = `${target}.tmp`;
+  await fs.mkdir(destRoot, { recursive: true });
+  await fs.writeFile(tmp, JSON.stringify(body, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, target);
+  return target;
+}
+
+/**
+ * Decide whether a file can keep the output of a previous run.
+ *
+ * @param {ManifestEntry|undefined} entry
+ * @param {Object} current
+ * @param {string} current.hash - Source hash now
+ * @param {string} current.settings - Settings fingerprint now
+ * @param {string} current.output - Output path (relative to destRoot) now
+ * @param {string|null} current.copiedTo - Mirror path now
+ * @param {string|null} current.outputHash - Hash of the output currently on disk (null: missing)
+ * @param {(href: string) => string|null} current.resolveLink - Rewritten href for a link now
+ * @param {Object<string, string|null>} [current.partialHashes] - Hash of each of the entry's
+ *   partials now
+ * @returns {string|null} Why the file must be converted again, or null when it is up to date
+ */
+export function staleReason(entry, current) {
+  if (!entry) return 'new file';
+  if (entry.hash !== current.hash) return 'source changed';
+  if (entry.transformVersion !== TRANSFORM_VERSION) return 'transform version changed';
+  if (entry.settings !== current.settings) return 'settings changed';
+  if (entry.output !== current.output) return 'output path changed';
+  if ((entry.copiedTo || null) !== (current.copiedTo || null)) return 'copy path changed';
+  if (!current.outputHash || current.outputHash !== entry.outputHash)
+    return 'output missing or edited';
+  for (const [href, rewritten] of Object.entries(entry.links || {})) {
+    if (current.resolveLink(href) !== rewritten) return `link target moved: ${href}`;
+  }
+  for (const [file, hash] of Object.entries(entry.partials || {})) {
+    if (current.partialHashes?.[file] !== hash) return `partial changed: ${path.basename(file)}`;
+  }
+  return null;
+}
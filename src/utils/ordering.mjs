@@ -0,0 +1,119 @@
+// src/utils/ordering.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import yaml from 'js-yaml';
+
+const CATEGORY_FILES = ['_category_.json', '_category_.yml', '_category_.yaml'];
+
+/**
+ * Slug used for an entry in `_order.yaml`: lowercase, whitespace → dashes, no extension for files.
+ * @param {string} name - File or folder name
+ * @param {boolean} isFile
+ */
+export function toOrderSlug(name, isFile) {
+  const baseName = isFile ? path.basename(name, path.extname(name)) : name;
+  return baseName.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Read Docusaurus `_category_.json` / `_category_.yml` files under the source root.
+ *
+ * @param {string} srcRoot
+ * @returns {Promise<Map<string, {position: number|null, label: string|null}>>}
+ *   Keyed by folder path relative to srcRoot ('' for the root itself).
+ */
+export async function readCategoryMetadata(srcRoot) {
+  const categories = new Map();
+
+  async function walk(directoryPath) {
+    let entries;
+    try {
+      entries = await fs.readdir(directoryPath, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    const names = new Set(entries.filter((e) => e.isFile()).map((e) => e.name));
+    const categoryFile = CATEGORY_FILES.find((name) => names.has(name));
+    if (categoryFile) {
+      try {
+        const raw = await fs.readFile(path.join(directoryPath, categoryFile), 'utf8');
+        const data = (categoryFile.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw)) || {};
+        categories.set(path.relative(srcRoot, directoryPath), {
+          position: toPosition(data.position),
+          label: typeof data.label === 'string' ? data.label : null,
+        });
+      } catch {
+        // Malformed category files are ignored; the folder just has no position.
+      }
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        await walk(path.join(directoryPath, entry.name));
+      }
+    }
+  }
+
+  await walk(srcRoot);
+  return categories;
+}
+
+/** Coerce a sidebar_position / category position into a finite number (or null). */
+export function toPosition(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Sort slugs the way Docusaurus does: items with a position first (ascending),
+ * then the rest alphabetically.
+ *
+ * @param {string[]} slugs
+ * @param {Map<string, number>} [positions]
+ */
+export function sortByPosition(slugs, positions = new Map()) {
+  return [...slugs].sort((a, b) => {
+    const pa = positions.get(a);
+    const pb = positions.get(b);
+    if (pa != null && pb != null && pa !== pb) return pa - pb;
+    if (pa != null && pb == null) return -1;
+    if (pa == null && pb != null) return 1;
+    return a.localeCompare(b);
+  });
+}
+
+/**
+ * Merge the slugs present in a folder into an existing `_order.yaml` list.
+ * Existing entries keep their order; only new slugs are appended (sorted by position).
+ *
+ * @param {string[]} existing - Slugs already listed in `_order.yaml`
+ * @param {string[]} present - Slugs of the folder's current pages/subfolders
+ * @param {Map<string, number>} [positions]
+ * @returns {string[]}
+ */
+export function mergeOrder(existing, present, positions) {
+  const listed = new Set(existing);
+  const added = present.filter((slug) => !listed.has(slug));
+  return [...existing, ...sortByPosition(added, positions)];
+}
+
+/**
+ * Parse `_order.yaml` content into a list of slugs (tolerates empty/invalid files).
+ * @param {string} raw
+ * @returns {string[]}
+ */
+export function parseOrderYaml(raw) {
+  try {
+    const parsed = yaml.load(raw);
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Serialize slugs back to the `- slug` list format used by ReadMe. */
+export function formatOrderYaml(slugs) {
+  return slugs.map((slug) => `- ${slug}`).join('\n') + (slugs.length ? '\n' : '');
+}
@@ -0,0 +1,52 @@
+/**
+ * Create a limiter that runs at most `concurrency` async tasks at once.
+ * Tasks start in the order they were queued.
+ *
+ * @param {number} concurrency - Maximum number of tasks in flight (min 1)
+ * @returns {(task: () => Promise<any>) => Promise<any>} Schedules a task, resolves with its result
+ */
+export function createLimiter(concurrency) {
+  const max = Math.max(1, Math.floor(Number(concurrency)) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || !queue.length) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Run `worker` over `items` with bounded concurrency, and hand each result to `commit` one at
+ * a time in input order, as soon as it and every earlier item are done. Use it when the work
+ * can overlap but its side effects (log rows, report entries, console output) must not.
+ *
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {(item: any, index: number) => Promise<any>} worker
+ * @param {(result: any, item: any, index: number) => Promise<void>|void} commit
+ * @returns {Promise<void>}
+ */
+export async function forEachInOrder(items, concurrency, worker, commit) {
+  const limit = createLimiter(concurrency);
+  const runs = items.map((item, index) => limit(() => worker(item, index)));
+  // A rejection is rethrown below when its turn comes; don't let it go unhandled meanwhile
+  for (const run of runs) run.catch(() => {});
+  for (let index = 0; index < runs.length; index++) {
+    await commit(await runs[index], items[index], index);
+  }
+}
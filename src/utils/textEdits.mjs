@@ -0,0 +1,33 @@
+// src/utils/textEdits.mjs
+
+/**
+ * Apply non-overlapping `{start, end, text}` edits and map lines of the result back to the
+ * input. Lines of replacement text map to the line its edit started on.
+ *
+ * @param {string} text
+ * @param {Array<{start: number, end: number, text: string}>} edits - Offsets into `text`
+ * @returns {{text: string, lineOf: (line: number|null) => number|null}}
+ */
+export function applyEdits(text, edits) {
+  edits.sort((a, b) => a.start - b.start);
+  const origin = [1]; // output line - 1 → input line
+  let out = '';
+  let cursor = 0;
+  let inputLine = 1;
+  const newlines = (s) => s.split('\n').length - 1;
+
+  for (const edit of edits) {
+    const kept = text.slice(cursor, edit.start);
+    for (let i = 0; i < newlines(kept); i++) origin.push(++inputLine);
+    const at = inputLine;
+    for (let i = 0; i < newlines(edit.text); i++) origin.push(at);
+    inputLine += newlines(text.slice(edit.start, edit.end));
+    out += kept + edit.text;
+    cursor = edit.end;
+  }
+  const tail = text.slice(cursor);
+  for (let i = 0; i < newlines(tail); i++) origin.push(++inputLine);
+  out += tail;
+
+  return { text: out, lineOf: (line) => (line == null ? null : (origin[line - 1] ?? line)) };
+}
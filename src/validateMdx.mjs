@@ -0,0 +1,118 @@
+// src/validateMdx.mjs
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkMdx from 'remark-mdx';
+import remarkFrontmatter from 'remark-frontmatter';
+import { visit } from 'unist-util-visit';
+
+/** JSX components ReadMe renders out of the box. */
+export const README_COMPONENTS = Object.freeze([
+  'Accordion',
+  'AccordionGroup',
+  'Anchor',
+  'Callout',
+  'Card',
+  'Cards',
+  'Column',
+  'Columns',
+  'Embed',
+  'Glossary',
+  'HTMLBlock',
+  'Image',
+  'Recipe',
+  'Tab',
+  'Tabs',
+  'Table',
+  'TutorialTile',
+  'Variable',
+]);
+
+/**
+ * A problem found in a generated document. Lines and columns count from the top of the
+ * written file, frontmatter included.
+ *
+ * @typedef {Object} MdxIssue
+ * @property {'INVALID_MDX'|'UNKNOWN_COMPONENT'} type - Log row type
+ * @property {number|null} line
+ * @property {number|null} column
+ * @property {string} message
+ */
+
+/**
+ * Check that a generated document parses as MDX the way ReadMe reads it, and that every
+ * JSX component it uses is one ReadMe knows.
+ *
+ * @param {string} document - The full output (frontmatter + body)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.compile=false] - Also compile with `@mdx-js/mdx`, which catches
+ *   problems the parser lets through (e.g. invalid `export`s)
+ * @param {string[]} [opts.components] - Extra component names to accept besides ReadMe's
+ * @returns {Promise<{valid: boolean, issues: MdxIssue[]}>} `valid` is false when the
+ *   document does not parse or compile; unknown components alone keep it valid
+ */
+export async function validateMdx(document, { compile = false, components = [] } = {}) {
+  const issues = [];
+
+  let tree = null;
+  try {
+    tree = unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkMdx)
+      .use(remarkFrontmatter, ['yaml'])
+      .parse(document);
+  } catch (err) {
+    issues.push(issueFromError(err));
+    return { valid: false, issues };
+  }
+
+  if (compile) {
+    try {
+      const { compile: compileMdx } = await import('@mdx-js/mdx');
+      await compileMdx(document, { remarkPlugins: [remarkGfm, [remarkFrontmatter, ['yaml']]] });
+    } catch (err) {
+      issues.push(issueFromError(err));
+    }
+  }
+
+  const known = new Set([...README_COMPONENTS, ...components]);
+  visit(tree, (node) => {
+    if (node.type !== 'mdxJsxFlowElement' && node.type !== 'mdxJsxTextElement') return;
+    const name = node.name || '';
+    // Fragments and lowercase (HTML) elements need no component
+    if (!name || /^[a-z]/.test(name) || known.has(name)) return;
+    issues.push({
+      type: 'UNKNOWN_COMPONENT',
+      line: node.position?.start?.line ?? null,
+      column: node.position?.start?.column ?? null,
+      message: `<${name}> is not a ReadMe component`,
+    });
+  });
+
+  return { valid: !issues.some((issue) => issue.type === 'INVALID_MDX'), issues };
+}
+
+/**
+ * `Output line 12, column 5: reason` (position left out when unknown). The position is in the
+ * written file, unlike the source `Line N` of other log rows.
+ */
+export function formatMdxIssue(issue) {
+  const where =
+    issue.line != null
+      ? `Output line ${issue.line}${issue.column != null ? `, column ${issue.column}` : ''}: `
+      : '';
+  return `${where}${issue.message}`;
+}
+
+function issueFromError(err) {
+  // Parser and compiler errors are VFileMessages carrying the position
+  const line = err?.line ?? err?.place?.line ?? err?.place?.start?.line ?? null;
+  const column = err?.column ?? err?.place?.column ?? err?.place?.start?.column ?? null;
+  return {
+    type: 'INVALID_MDX',
+    line: line ?? null,
+    column: column ?? null,
+    message: String(err?.reason || err?.message || err),
+  };
+}
@@ -0,0 +1,111 @@
+// src/versions.mjs
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** Docusaurus's own name for the unreleased docs in `docs/`. */
+export const DEFAULT_CURRENT_VERSION = 'current';
+
+/**
+ * One version of a Docusaurus site's docs.
+ * @typedef {Object} DocsVersion
+ * @property {string} name - ReadMe version (and output folder) the docs go to
+ * @property {boolean} current - The `docs/` folder rather than a `versioned_docs/` one
+ * @property {string} srcRoot - Absolute docs folder of the version
+ * @property {string|null} sidebarsFile - `versioned_sidebars/version-<name>-sidebars.json`, or
+ *   the sidebars file given for `docs/`; null without one
+ * @property {string} routePath - Docusaurus URL segment after `/docs` (`''` for the latest
+ *   release, `next` for `docs/`)
+ */
+
+/**
+ * Read the versions of a Docusaurus site from its `versions.json` (newest first). `docs/` is
+ * the current version, served under `/docs/next`; the newest release under `/docs`, older ones
+ * under `/docs/<version>`. Versioned sidebars are only used when `docs/` has a sidebars file,
+ * so every version is laid out the same way.
+ *
+ * @param {string} siteRoot - Folder holding `versions.json`, `docs/` and `versioned_docs/`
+ * @param {Object} [opts]
+ * @param {string} [opts.currentVersion=DEFAULT_CURRENT_VERSION] - ReadMe version for `docs/`
+ * @param {string|null} [opts.sidebarsFile=null] - Sidebars file of `docs/`
+ * @returns {Promise<{versions: DocsVersion[], missing: Array<{name: string, folder: string}>}>}
+ *   `missing` lists versions whose `versioned_docs/` folder doesn't exist
+ */
+export async function readDocusaurusVersions(
+  siteRoot,
+  { currentVersion = DEFAULT_CURRENT_VERSION, sidebarsFile = null } = {},
+) {
+  const versionsFile = path.join(siteRoot, 'versions.json');
+  let released;
+  try {
+    released = JSON.parse(await fs.readFile(versionsFile, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`No versions.json in ${siteRoot}`);
+    throw new Error(`Could not read ${versionsFile}: ${err.message}`);
+  }
+  if (!Array.isArray(released) || released.some((name) => typeof name !== 'string')) {
+    throw new Error(`${versionsFile} must be an array of version names`);
+  }
+  if (released.includes(currentVersion)) {
+    throw new Error(`Current version name "${currentVersion}" is also in versions.json`);
+  }
+
+  const versions = [];
+  const missing = [];
+  if (await isDirectory(path.join(siteRoot, 'docs'))) {
+    versions.push({
+      name: currentVersion,
+      current: true,
+      srcRoot: path.join(siteRoot, 'docs'),
+      sidebarsFile,
+      routePath: released.length ? 'next' : '',
+    });
+  } else {
+    missing.push({ name: currentVersion, folder: 'docs' });
+  }
+
+  for (const [index, name] of released.entries()) {
+    const folder = `versioned_docs/version-${name}`;
+    if (!(await isDirectory(path.join(siteRoot, folder)))) {
+      missing.push({ name, folder });
+      continue;
+    }
+    const sidebars = path.join(siteRoot, 'versioned_sidebars', `version-${name}-sidebars.json`);
+    versions.push({
+      name,
+      current: false,
+      srcRoot: path.join(siteRoot, folder),
+      sidebarsFile: sidebarsFile && (await isFile(sidebars)) ? sidebars : null,
+      routePath: index === 0 ? '' : name,
+    });
+  }
+
+  return { versions, missing };
+}
+
+/**
+ * Site path prefix of a version's docs (`docs`, `docs/next`, `docs/1.x`).
+ * @param {DocsVersion} version
+ */
+export function versionRoute(version) {
+  return ['docs', version.routePath].filter(Boolean).join('/');
+}
+
+/**
+ * Where a ReadMe version's docs live on the hub: `/v2.0/docs` for `2.0`, `/beta/docs` for a
+ * name that isn't a number.
+ *
+ * @param {string} name
+ * @param {string} [linkBasePath='/docs']
+ */
+export function versionLinkBase(name, linkBasePath = '/docs') {
+  const segment = /^\d/.test(name) ? `v${name}` : name;
+  return `/${encodeURIComponent(segment)}${linkBasePath.replace(/\/+$/, '')}`;
+}
+
+async function isDirectory(target) {
+  return (await fs.stat(target).catch(() => null))?.isDirectory() ?? false;
+}
+
+async function isFile(target) {
+  return (await fs.stat(target).catch(() => null))?.isFile() ?? false;
+}
@@ -0,0 +1,149 @@
+// test/config.test.mjs
+//
+// Config file loading and validation, and the command-line flags checked against the same
+// option table.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  findConfigFile,
+  formatHelp,
+  loadConfigFile,
+  optionsFromArgs,
+  OPTIONS,
+} from '../src/config.mjs';
+
+async function withConfig(name, content, run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-migration-config-'));
+  try {
+    await fs.writeFile(path.join(dir, name), content, 'utf8');
+    await run(dir, path.join(dir, name));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('YAML config: paths resolve against the file, values are typed', () =>
+  withConfig(
+    'migration.config.yaml',
+    [
+      'src: docs',
+      'out: ../readme/docs',
+      'sourceFormat: mkdocs',
+      'uploadImages: true',
+      'uploadRetries: 2',
+      'mdxComponents: [Badge, Feedback]',
+      'calloutThemes:',
+      '  note: { theme: default }',
+      'moves:',
+      '  api.md: Reference',
+    ].join('\n'),
+    async (dir, file) => {
+      assert.equal(await findConfigFile(dir), file);
+      assert.deepEqual(await loadConfigFile(file), {
+        src: path.join(dir, 'docs'),
+        out: path.resolve(dir, '../readme/docs'),
+        sourceFormat: 'mkdocs',
+        uploadImages: true,
+        uploadRetries: 2,
+        mdxComponents: ['Badge', 'Feedback'],
+        calloutThemes: { note: { theme: 'default' } },
+        moves: { 'api.md': 'Reference' },
+      });
+    },
+  ));
+
+test('ES module config: the default export', () =>
+  withConfig(
+    'migration.config.mjs',
+    "export default { src: 'docs', removeComponents: ['Feedback'] };\n",
+    async (dir, file) => {
+      assert.deepEqual(await loadConfigFile(file), {
+        src: path.join(dir, 'docs'),
+        removeComponents: ['Feedback'],
+      });
+    },
+  ));
+
+test('invalid config: every problem is reported', () =>
+  withConfig(
+    'migration.config.json',
+    JSON.stringify({
+      source_format: 'mkdocs',
+      sourceFormat: 'jekyll',
+      uploadRetries: 'three',
+      uploadTimeout: 0,
+      dryRun: true,
+      calloutThemes: { tip: { theme: 'green', colour: 'x' } },
+      frontmatterMap: { tags: { to: 'metadata.keywords', transform: 'split' } },
+    }),
+    async (_dir, file) => {
+      await assert.rejects(loadConfigFile(file), (err) => {
+        assert.match(
+          err.message,
+          /Unknown option "source_format" \(did you mean "sourceFormat"\?\)/,
+        );
+        assert.match(err.message, /"sourceFormat" must be one of docusaurus, mkdocs/);
+        assert.match(err.message, /"uploadRetries" must be a non-negative number \(got "three"\)/);
+        assert.match(err.message, /"uploadTimeout" must be a positive number \(got 0\)/);
+        assert.match(err.message, /"dryRun" can only be given on the command line \(--dry-run\)/);
+        assert.match(err.message, /"tip\.theme" must be one of info, okay, warn, error, default/);
+        assert.match(err.message, /"tip\.colour" is not one of icon, theme, title/);
+        assert.match(err.message, /"tags" must be a target path, \{ to, transform \} or null/);
+        return true;
+      });
+    },
+  ));
+
+test('invalid JSON is reported with the file name', () =>
+  withConfig('migration.config.json', '{ "src": ', async (_dir, file) => {
+    await assert.rejects(
+      loadConfigFile(file),
+      /Could not read config file .*migration\.config\.json/,
+    );
+  }));
+
+test('command-line flags: aliases, lists, numbers and unknown flags', () => {
+  assert.deepEqual(
+    optionsFromArgs(
+      {
+        sidebars: 'sidebars.js',
+        'mdx-components': 'Badge, Feedback',
+        concurrency: '2',
+        force: true,
+      },
+      '/docs',
+    ),
+    { nav: '/docs/sidebars.js', mdxComponents: ['Badge', 'Feedback'], concurrency: 2, force: true },
+  );
+  assert.deepEqual(
+    optionsFromArgs({ exclude: ['blog/', '{README,CHANGELOG}.md'], include: 'docs/**' }),
+    {
+      exclude: ['blog/', '{README,CHANGELOG}.md'],
+      include: ['docs/**'],
+    },
+  );
+  assert.throws(() => optionsFromArgs({ src: ['docs', 'other'] }), /--src given more than once/);
+  assert.throws(
+    () => optionsFromArgs({ 'link-styles': 'path', 'on-conflict': 'merge' }),
+    (err) =>
+      /Unknown flag --link-styles/.test(err.message) &&
+      /--on-conflict must be one of skip, overwrite, suffix, fail/.test(err.message),
+  );
+  assert.throws(
+    () => optionsFromArgs({ concurrency: '0', 'upload-concurrency': '-1' }),
+    (err) =>
+      /--concurrency must be a positive number \(got "0"\)/.test(err.message) &&
+      /--upload-concurrency must be a positive number \(got "-1"\)/.test(err.message),
+  );
+});
+
+test('--help lists every option', () => {
+  const help = formatHelp();
+  for (const option of OPTIONS) {
+    assert.ok(help.includes(option.flag ? `--${option.flag}` : option.key), option.key);
+  }
+});
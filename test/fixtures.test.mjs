@@ -0,0 +1,127 @@
+// test/fixtures.test.mjs
+//
+// Golden-file tests: every folder under test/fixtures/ is one migration run.
+//
+//   fixture.json  optional `runPipeline` options; path options are relative to the fixture
+//   input/        source docs (the `srcRoot`)
+//   dest/         optional files already in the destination before the run
+//   expected/     the destination after the run, including `_log.csv` and `images-map.csv`
+//
+// Regenerate `expected/` after an intentional output change with `npm run test:update`.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { readdirSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { runPipeline } from '../src/pipeline.mjs';
+import { _clearUploadCache } from '../src/images/uploader.mjs';
+import { startReadmeStub, STUB_API_KEY } from './support/readmeStub.mjs';
+import { quietly } from './support/quietly.mjs';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+/** Outputs that carry timestamps or hashes of the run rather than converted content. */
+const VOLATILE_OUTPUTS = new Set([
+  'migration-report.json',
+  '_migration-manifest.json',
+  '_image-upload-cache.json',
+]);
+
+/** Options holding paths, resolved against the fixture folder. */
+const PATH_OPTIONS = ['imagesSrc', 'moveMapCsv', 'sidebarsFile', 'copyRoot'];
+
+let stub;
+before(async () => {
+  stub = await startReadmeStub();
+});
+after(() => stub.close());
+
+for (const name of readdirSync(FIXTURES_DIR).sort()) {
+  test(name, async () => {
+    const fixtureDir = path.join(FIXTURES_DIR, name);
+    const config = await readJson(path.join(fixtureDir, 'fixture.json'));
+    const tmp = await fs.mkdtemp(path.join(os.tmpdir(), `md-migration-${name}-`));
+    const destRoot = path.join(tmp, 'dest');
+
+    try {
+      await fs.cp(path.join(fixtureDir, 'dest'), destRoot, { recursive: true }).catch(() => {});
+
+      const options = { ...config.options };
+      for (const key of PATH_OPTIONS) {
+        if (options[key]) options[key] = path.join(fixtureDir, options[key]);
+      }
+      if (options.uploadImages) {
+        options.readmeApiKey = STUB_API_KEY;
+        options.readmeApiBaseUrl = stub.url;
+        options.uploadRetries = 0;
+      }
+
+      _clearUploadCache();
+      await quietly(() =>
+        runPipeline({
+          cwd: fixtureDir,
+          srcRoot: path.join(fixtureDir, 'input'),
+          destRoot,
+          ...options,
+        }),
+      );
+
+      const normalize = (text) =>
+        text.split(destRoot).join('<dest>').split(fixtureDir).join('<fixture>');
+      const actual = new Map();
+      for (const rel of await listFiles(destRoot)) {
+        if (VOLATILE_OUTPUTS.has(path.posix.basename(rel))) continue;
+        actual.set(rel, normalize(await fs.readFile(path.join(destRoot, rel), 'utf8')));
+      }
+
+      const expectedDir = path.join(fixtureDir, 'expected');
+      if (UPDATE) {
+        await fs.rm(expectedDir, { recursive: true, force: true });
+        for (const [rel, content] of actual) {
+          await fs.mkdir(path.dirname(path.join(expectedDir, rel)), { recursive: true });
+          await fs.writeFile(path.join(expectedDir, rel), content, 'utf8');
+        }
+        return;
+      }
+
+      const expectedFiles = await listFiles(expectedDir);
+      assert.deepEqual([...actual.keys()], expectedFiles, 'set of output files');
+      for (const rel of expectedFiles) {
+        const expected = await fs.readFile(path.join(expectedDir, rel), 'utf8');
+        assert.equal(actual.get(rel), expected, `${rel} differs from expected/${rel}`);
+      }
+    } finally {
+      await fs.rm(tmp, { recursive: true, force: true });
+    }
+  });
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+/** Sorted posix paths of every file under `root` (empty when it does not exist). */
+async function listFiles(root, base = '') {
+  let entries = [];
+  try {
+    entries = await fs.readdir(path.join(root, base), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const rel = base ? `${base}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files.push(...(await listFiles(root, rel)));
+    else files.push(rel);
+  }
+  return files.sort();
+}
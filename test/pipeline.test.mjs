@@ -0,0 +1,206 @@
+// test/pipeline.test.mjs
+//
+// Pipeline behavior the golden fixtures (one run each) can't show.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { runPipeline } from '../src/pipeline.mjs';
+import { quietly } from './support/quietly.mjs';
+import { startReadmeStub, STUB_API_KEY } from './support/readmeStub.mjs';
+
+const sites = [];
+after(() => Promise.all(sites.map((dir) => fs.rm(dir, { recursive: true, force: true }))));
+
+/** A temporary source folder with `files` (relative path → content) and an empty destination. */
+async function createSite(files) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'md-migration-pipeline-'));
+  sites.push(root);
+  const srcRoot = path.join(root, 'docs');
+  const destRoot = path.join(root, 'out');
+  const write = async (base, rel, content) => {
+    await fs.mkdir(path.dirname(path.join(base, rel)), { recursive: true });
+    await fs.writeFile(path.join(base, rel), content, 'utf8');
+  };
+  for (const [rel, content] of Object.entries(files)) await write(srcRoot, rel, content);
+
+  return {
+    srcRoot,
+    destRoot,
+    writeSource: (rel, content) => write(srcRoot, rel, content),
+    writeOutput: (rel, content) => write(destRoot, rel, content),
+    readOutput: (rel) => fs.readFile(path.join(destRoot, rel), 'utf8'),
+    outputExists: (rel) =>
+      fs.stat(path.join(destRoot, rel)).then(
+        () => true,
+        () => false,
+      ),
+    migrate: (options = {}) =>
+      quietly(() => runPipeline({ cwd: root, srcRoot, destRoot, ...options })),
+  };
+}
+
+const page = (title, body = 'Some text.') => `---\ntitle: ${title}\n---\n\n${body}\n`;
+
+test('a dry run plans every output and writes nothing', async () => {
+  const site = await createSite({ 'intro.md': page('Intro'), 'guide/setup.md': page('Setup') });
+
+  const report = await site.migrate({ dryRun: true });
+
+  assert.equal(await site.outputExists(''), false);
+  const planned = report.plan.files
+    .filter((file) => file.action === 'create' && file.path.endsWith('.md'))
+    .map((file) => path.relative(site.destRoot, file.path).replace(/\\/g, '/'));
+  assert.deepEqual(planned.sort(), ['guide/setup.md', 'intro.md']);
+});
+
+test('unchanged sources are not converted again, unless forced', async () => {
+  const site = await createSite({ 'a.md': page('A'), 'b.md': page('B') });
+  await site.migrate();
+
+  const again = await site.migrate();
+  assert.equal(again.unchanged, 2);
+
+  await site.writeSource('b.md', page('B', 'New text.'));
+  const edited = await site.migrate();
+  assert.equal(edited.unchanged, 1);
+  assert.match(await site.readOutput('b.md'), /New text\./);
+
+  const forced = await site.migrate({ force: true });
+  assert.equal(forced.unchanged, 0);
+  assert.equal(forced.files.length, 2);
+});
+
+test('outputs of deleted sources are flagged, or removed with removeDeleted unless edited', async () => {
+  const site = await createSite({ 'a.md': page('A'), 'b.md': page('B'), 'c.md': page('C') });
+  await site.migrate();
+  await fs.rm(path.join(site.srcRoot, 'b.md'));
+  await fs.rm(path.join(site.srcRoot, 'c.md'));
+  await site.writeOutput('c.md', page('C', 'Edited in the output.'));
+
+  const flagged = await site.migrate();
+  assert.deepEqual(
+    flagged.orphanedOutputs.map(({ output, action }) => [output, action]),
+    [
+      ['b.md', 'flagged'],
+      ['c.md', 'flagged'],
+    ],
+  );
+  assert.equal(await site.outputExists('b.md'), true);
+
+  const removed = await site.migrate({ removeDeleted: true });
+  assert.deepEqual(
+    removed.orphanedOutputs.map(({ output, action }) => [output, action]),
+    [
+      ['b.md', 'removed'],
+      ['c.md', 'kept (edited)'],
+    ],
+  );
+  assert.equal(await site.outputExists('b.md'), false);
+  assert.equal(await site.outputExists('c.md'), true);
+});
+
+test('a moved site keeps its incremental state', async () => {
+  const site = await createSite({
+    'a.md': page('A'),
+    'b.mdx': `${page('B', "import Setup from './_setup.mdx';\n\n<Setup />")}`,
+    '_setup.mdx': 'Run the installer.\n',
+  });
+  const root = path.dirname(site.srcRoot);
+  const options = { includeMdx: true, copyRoot: path.join(root, 'copy') };
+  await site.migrate(options);
+
+  const moved = `${root}-moved`;
+  sites.push(moved);
+  await fs.rename(root, moved);
+  const again = await quietly(() =>
+    runPipeline({
+      cwd: moved,
+      srcRoot: path.join(moved, 'docs'),
+      destRoot: path.join(moved, 'out'),
+      ...options,
+      copyRoot: path.join(moved, 'copy'),
+    }),
+  );
+  assert.equal(again.unchanged, 2);
+
+  const manifest = await fs.readFile(path.join(moved, 'out', '_migration-manifest.json'), 'utf8');
+  assert.equal(manifest.includes(root), false);
+});
+
+test('an output the migration did not write is handled by the conflict policy', async () => {
+  const handWritten = page('Hand written');
+  const conflicted = async (onConflict) => {
+    const site = await createSite({ 'a.md': page('A'), 'b.md': page('B') });
+    await site.writeOutput('a.md', handWritten);
+    return { site, report: await site.migrate({ onConflict }) };
+  };
+
+  const skip = await conflicted('skip');
+  assert.deepEqual(
+    skip.report.conflicts.map(({ kind, action }) => [kind, action]),
+    [['existing', 'skipped']],
+  );
+  assert.equal(await skip.site.readOutput('a.md'), handWritten);
+  assert.equal(await skip.site.outputExists('b.md'), true);
+
+  const overwrite = await conflicted('overwrite');
+  assert.equal(overwrite.report.conflicts[0].action, 'overwritten');
+  assert.match(await overwrite.site.readOutput('a.md'), /title: A/);
+
+  const suffix = await conflicted('suffix');
+  assert.equal(suffix.report.conflicts[0].writtenTo, 'a-2.md');
+  assert.equal(await suffix.site.readOutput('a.md'), handWritten);
+  assert.match(await suffix.site.readOutput('a-2.md'), /title: A/);
+
+  const fail = await conflicted('fail');
+  assert.equal(fail.report.aborted, true);
+  assert.equal(await fail.site.readOutput('a.md'), handWritten);
+  assert.equal(await fail.site.outputExists('b.md'), false);
+});
+
+test('concurrent conversions are reported and logged in discovery order', async () => {
+  const stub = await startReadmeStub();
+  try {
+    // The first doc's image is the slowest to upload, so that doc finishes last
+    const names = ['a', 'b', 'c', 'd'];
+    const image = (name) => (name === 'a' ? 'slow-a.png' : `${name}.png`);
+    const site = await createSite(
+      Object.fromEntries(
+        names.map((name) => [
+          `${name}.md`,
+          page(name.toUpperCase(), `![](/img/${image(name)})\n\n[Missing](./missing-${name}.md)`),
+        ]),
+      ),
+    );
+    const imagesSrc = path.join(path.dirname(site.srcRoot), 'static');
+    await fs.mkdir(path.join(imagesSrc, 'img'), { recursive: true });
+    for (const name of names) {
+      await fs.writeFile(path.join(imagesSrc, 'img', image(name)), `image ${name}`);
+    }
+
+    const report = await site.migrate({
+      concurrency: 4,
+      imagesSrc,
+      uploadImages: true,
+      readmeApiKey: STUB_API_KEY,
+      readmeApiBaseUrl: stub.url,
+    });
+
+    const sources = names.map((name) => `${name}.md`);
+    assert.equal(stub.uploads.at(-1), 'slow-a.png');
+    assert.deepEqual(
+      report.files.map((file) => file.source),
+      sources,
+    );
+    const logged = (await site.readOutput('_log.csv'))
+      .split('\n')
+      .filter((row) => row.startsWith('BROKEN_LINK,'))
+      .map((row) => row.split(',')[1]);
+    assert.deepEqual(logged, sources);
+  } finally {
+    await stub.close();
+  }
+});
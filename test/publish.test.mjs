@@ -0,0 +1,117 @@
+// test/publish.test.mjs
+//
+// Publishing a converted docs folder through the ReadMe API, against the local stub. The docs
+// folder is the gitbook fixture's expected output: a category with pages and a parent page.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { publishToReadme } from '../src/publish.mjs';
+import { startReadmeStub, STUB_API_KEY } from './support/readmeStub.mjs';
+
+const DOCS = fileURLToPath(new URL('./fixtures/gitbook/expected/', import.meta.url));
+const CATEGORY_URI = '/branches/stable/categories/guides/Getting%20started';
+
+let stub;
+let docsRoot;
+const publish = (opts = {}) =>
+  publishToReadme(docsRoot, {
+    apiKey: STUB_API_KEY,
+    api: { apiBaseUrl: stub.url, retries: 0 },
+    ...opts,
+  });
+
+before(async () => {
+  stub = await startReadmeStub();
+  docsRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'md-migration-publish-'));
+  await fs.cp(DOCS, docsRoot, { recursive: true });
+});
+
+after(async () => {
+  await stub.close();
+  await fs.rm(docsRoot, { recursive: true, force: true });
+});
+
+test('first publish creates the category and every page in order', async () => {
+  const summary = await publish();
+
+  assert.deepEqual(summary.createdCategories, ['Getting started']);
+  assert.deepEqual(summary.created, ['install', 'troubleshooting', 'status-page']);
+  assert.deepEqual(summary.failed, []);
+  assert.deepEqual(summary.skipped, [{ file: 'README.md', reason: 'Not in a category folder' }]);
+
+  const install = stub.guides.get('stable/install');
+  assert.equal(install.title, 'Install');
+  assert.equal(install.category.uri, CATEGORY_URI);
+  assert.equal(install.parent.uri, null);
+  assert.equal(install.position, 0);
+  assert.equal(stub.guides.get('stable/status-page').position, 1);
+  assert.equal(
+    stub.guides.get('stable/troubleshooting').parent.uri,
+    '/branches/stable/guides/install',
+  );
+  assert.match(stub.guides.get('stable/troubleshooting').content.body, /^# Troubleshooting/);
+});
+
+test('publishing again changes nothing', async () => {
+  const writes = stub.writes.length;
+  const summary = await publish();
+
+  assert.deepEqual(summary.created, []);
+  assert.deepEqual(summary.updated, []);
+  assert.equal(summary.unchanged.length, 3);
+  assert.equal(stub.writes.length, writes);
+});
+
+test('changed pages are updated and, with prune, removed ones deleted', async () => {
+  const page = path.join(docsRoot, 'Getting started', 'status-page.md');
+  await fs.appendFile(page, '\nOne more line.\n');
+  await fs.rm(path.join(docsRoot, 'Getting started', 'Install', 'troubleshooting.md'));
+
+  const kept = await publish();
+  assert.deepEqual(kept.updated, ['status-page']);
+  assert.ok(stub.guides.has('stable/troubleshooting'), 'no prune, no delete');
+
+  const pruned = await publish({ prune: true });
+  assert.deepEqual(pruned.deleted, ['troubleshooting']);
+  assert.deepEqual(pruned.unchanged, ['install', 'status-page']);
+  assert.ok(!stub.guides.has('stable/troubleshooting'));
+});
+
+test('a slug in the frontmatter is the guide slug', async () => {
+  await fs.writeFile(
+    path.join(docsRoot, 'Getting started', 'faq.md'),
+    '---\ntitle: FAQ\nslug: common-questions\n---\n\nAsk away.\n',
+  );
+
+  const summary = await publish({ prune: true });
+  assert.deepEqual(summary.created, ['common-questions']);
+  assert.deepEqual(summary.deleted, []);
+  assert.ok(stub.guides.has('stable/common-questions'));
+  assert.ok(!stub.guides.has('stable/faq'));
+});
+
+test('prune leaves categories the docs folder does not have alone', async () => {
+  const uri = '/branches/stable/categories/guides/Hand%20written';
+  stub.categories.set('stable/Hand written', { title: 'Hand written', position: 5 });
+  stub.guides.set('stable/handmade', {
+    title: 'Handmade',
+    slug: 'handmade',
+    category: { uri },
+    parent: { uri: null },
+  });
+
+  const summary = await publish({ prune: true });
+  assert.deepEqual(summary.deleted, []);
+  assert.ok(stub.guides.has('stable/handmade'));
+});
+
+test('a rejected API key fails the run', async () => {
+  await assert.rejects(
+    publishToReadme(docsRoot, { apiKey: 'wrong', api: { apiBaseUrl: stub.url, retries: 0 } }),
+    /GET \/categories\/guides failed \(401 Unauthorized\)/,
+  );
+});
@@ -0,0 +1,32 @@
+// test/sidebars.test.mjs
+//
+// Where sidebar categories put their docs.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSidebarPlacement } from '../src/sidebars.mjs';
+
+const docs = ['intro', 'setup', 'dotnet'].map((id) => ({ id, relPath: `${id}.md` }));
+
+test('category labels never leave, collapse into or hide in the parent folder', () => {
+  const { byDoc } = buildSidebarPlacement(
+    {
+      docs: [
+        { type: 'category', label: '..', items: ['intro'] },
+        {
+          type: 'category',
+          label: 'Guides',
+          items: [
+            { type: 'category', label: ' . ', items: ['setup'] },
+            { type: 'category', label: '.NET', items: ['dotnet'] },
+          ],
+        },
+      ],
+    },
+    { docs },
+  );
+
+  assert.deepEqual(byDoc.get('intro.md'), { dir: 'Untitled', fileName: 'intro.md' });
+  assert.deepEqual(byDoc.get('setup.md'), { dir: 'Guides/Untitled', fileName: 'setup.md' });
+  assert.deepEqual(byDoc.get('dotnet.md'), { dir: 'Guides/NET', fileName: 'dotnet.md' });
+});
@@ -0,0 +1,14 @@
+// test/support/quietly.mjs
+
+/** The pipeline reports progress on the console; keep test output readable. */
+export async function quietly(run) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await run();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
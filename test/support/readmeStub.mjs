@@ -0,0 +1,161 @@
+// test/support/readmeStub.mjs
+import http from 'node:http';
+
+/** API key the stub accepts; any other key gets a 401. */
+export const STUB_API_KEY = 'test-readme-key';
+
+/**
+ * Local stand-in for the ReadMe Images API (`POST /v2/images`) and the guides and categories
+ * endpoints publishing uses (`/v2/branches/:branch/…`), kept in memory.
+ *
+ * Every accepted upload is answered with a deterministic hosted URL built from the uploaded
+ * file name, so golden files can contain it. Upload file names pick a failure to exercise:
+ * - `reject-*`: a 400
+ * - `busy-*`: the first attempt gets a 429 with `Retry-After: 1`
+ * - `flaky-*`: the first two attempts get a 503
+ * - `slow-*`: every answer comes 200ms late
+ *
+ * @returns {Promise<{url: string, uploads: string[], attempts: string[], maxInFlight: number,
+ *   categories: Map<string, Object>, guides: Map<string, Object>, writes: string[],
+ *   close: () => Promise<void>}>}
+ */
+export async function startReadmeStub() {
+  const uploads = [];
+  const attempts = []; // file name of every upload request, answered or not
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const categories = new Map(); // `${branch}/${title}` → category
+  const guides = new Map(); // `${branch}/${slug}` → guide
+  const writes = []; // "POST /v2/branches/…" for every guide/category change
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const reply = (status, body) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (req.headers.authorization !== `Bearer ${STUB_API_KEY}`) {
+        return reply(401, { error: 'Unauthorized' });
+      }
+      const branchRoute = /^\/v2\/branches\/([^/]+)(\/.*)$/.exec(req.url);
+      if (branchRoute) {
+        const json = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+        return reply(
+          ...branchApi(req.method, decodeURIComponent(branchRoute[1]), branchRoute[2], json),
+        );
+      }
+      if (req.method !== 'POST' || req.url !== '/v2/images') {
+        return reply(404, { error: 'Not found' });
+      }
+
+      const body = Buffer.concat(chunks).toString('latin1');
+      const fileName = /filename="([^"]+)"/.exec(body)?.[1];
+      if (!fileName) return reply(400, { error: 'No file field' });
+      attempts.push(fileName);
+      const attempt = attempts.filter((name) => name === fileName).length;
+      if (fileName.startsWith('reject-')) return reply(400, { error: 'Unsupported image' });
+      if (fileName.startsWith('busy-') && attempt === 1) {
+        res.setHeader('retry-after', '1');
+        return reply(429, { error: 'Too many requests' });
+      }
+      if (fileName.startsWith('flaky-') && attempt <= 2) {
+        return reply(503, { error: 'Service unavailable' });
+      }
+
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      // Answered, or given up on by the client
+      let closed = false;
+      res.on('close', () => {
+        closed = true;
+        inFlight--;
+      });
+      setTimeout(
+        () => {
+          if (closed) return;
+          uploads.push(fileName);
+          reply(201, { data: { url: `https://files.readme.io/stub/${fileName}` } });
+        },
+        fileName.startsWith('slow-') ? 200 : 0,
+      );
+    });
+  });
+
+  function branchApi(method, branch, route, body) {
+    const segments = route.split('/').slice(1).map(decodeURIComponent);
+    const write = () => writes.push(`${method} ${route}`);
+    const inBranch = (map) => [...map].filter(([key]) => key.startsWith(`${branch}/`));
+
+    if (segments[0] === 'categories' && segments[1] === 'guides') {
+      const [, , title, sub] = segments;
+      const key = `${branch}/${title}`;
+      if (!title && method === 'GET') {
+        return [200, { data: inBranch(categories).map(([, category]) => category) }];
+      }
+      if (!title && method === 'POST') {
+        write();
+        categories.set(`${branch}/${body.title}`, { title: body.title, position: body.position });
+        return [201, { data: categories.get(`${branch}/${body.title}`) }];
+      }
+      if (!categories.has(key)) return [404, { error: 'Category not found' }];
+      if (sub === 'pages' && method === 'GET') {
+        const uri = `/branches/${encodeURIComponent(branch)}/categories/guides/${encodeURIComponent(title)}`;
+        const pages = inBranch(guides).map(([, guide]) => guide);
+        return [200, { data: pages.filter((guide) => guide.category.uri === uri) }];
+      }
+      if (!sub && method === 'PATCH') {
+        write();
+        Object.assign(categories.get(key), body);
+        return [200, { data: categories.get(key) }];
+      }
+    }
+
+    if (segments[0] === 'guides') {
+      const [, slug] = segments;
+      const key = `${branch}/${slug}`;
+      if (!slug && method === 'POST') {
+        if (guides.has(`${branch}/${body.slug}`)) return [409, { error: 'Slug taken' }];
+        write();
+        guides.set(`${branch}/${body.slug}`, body);
+        return [201, { data: body }];
+      }
+      if (!guides.has(key)) return [404, { error: 'Guide not found' }];
+      if (method === 'GET') return [200, { data: guides.get(key) }];
+      if (method === 'PATCH') {
+        write();
+        guides.set(key, { ...guides.get(key), ...body });
+        return [200, { data: guides.get(key) }];
+      }
+      if (method === 'DELETE') {
+        write();
+        guides.delete(key);
+        return [204, {}];
+      }
+    }
+    return [404, { error: 'Not found' }];
+  }
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    uploads,
+    attempts,
+    get maxInFlight() {
+      return maxInFlight;
+    },
+    categories,
+    guides,
+    writes,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve());
+        // Timed-out clients leave `slow-*` requests open
+        server.closeAllConnections();
+      }),
+  };
+}
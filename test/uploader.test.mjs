@@ -0,0 +1,90 @@
+// test/uploader.test.mjs
+//
+// Image uploads against the local ReadMe stub, and the upload cache file.
+import { test, beforeEach, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  _clearUploadCache,
+  loadUploadCache,
+  saveUploadCache,
+  uploadImageToReadme,
+} from '../src/images/uploader.mjs';
+import { startReadmeStub, STUB_API_KEY } from './support/readmeStub.mjs';
+
+let stub;
+let dir;
+
+/** Upload a new image named `name` (its bytes are unique, so the cache never answers). */
+async function upload(name, settings = {}) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, `${name} ${Math.random()}`);
+  return uploadImageToReadme(file, STUB_API_KEY, {
+    upload: { apiBaseUrl: stub.url, backoffMs: 1, ...settings },
+  });
+}
+
+before(async () => {
+  stub = await startReadmeStub();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-migration-uploader-'));
+});
+
+after(async () => {
+  await stub.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => _clearUploadCache());
+
+test('a failed cache write does not stop the next one', async () => {
+  const blocker = path.join(dir, 'not-a-folder');
+  await fs.writeFile(blocker, '');
+  await loadUploadCache(path.join(blocker, 'cache.json'));
+  await assert.rejects(saveUploadCache());
+
+  const cacheFile = path.join(dir, 'cache.json');
+  await loadUploadCache(cacheFile);
+  await saveUploadCache();
+  assert.deepEqual(JSON.parse(await fs.readFile(cacheFile, 'utf8')), { version: 1, entries: {} });
+});
+
+test('5xx answers are retried as many times as configured', async () => {
+  assert.equal(
+    await upload('flaky-a.png', { retries: 2 }),
+    'https://files.readme.io/stub/flaky-a.png',
+  );
+  assert.equal(stub.attempts.filter((name) => name === 'flaky-a.png').length, 3);
+
+  await assert.rejects(
+    upload('flaky-b.png', { retries: 1 }),
+    /Upload failed \(503 Service Unavailable\).*\(gave up after 2 attempt\(s\)\)/,
+  );
+  assert.equal(stub.attempts.filter((name) => name === 'flaky-b.png').length, 2);
+});
+
+test('a 429 waits for Retry-After, up to the backoff cap', async () => {
+  let started = Date.now();
+  await upload('busy-a.png', { retries: 1 });
+  assert.ok(Date.now() - started >= 950, 'waited the second Retry-After asks for');
+
+  started = Date.now();
+  await upload('busy-b.png', { retries: 1, maxBackoffMs: 50 });
+  assert.ok(Date.now() - started < 900, 'waited no longer than maxBackoffMs');
+});
+
+test('a request that outlives the timeout fails and is retried', async () => {
+  await assert.rejects(
+    upload('slow-a.png', { retries: 1, timeoutMs: 50 }),
+    /Upload timed out after 50ms \(gave up after 2 attempt\(s\)\)/,
+  );
+  assert.equal(stub.attempts.filter((name) => name === 'slow-a.png').length, 2);
+});
+
+test('no more uploads than the concurrency run at once', async () => {
+  const names = ['1', '2', '3', '4', '5'].map((n) => `slow-pool-${n}.png`);
+  await Promise.all(names.map((name) => upload(name, { concurrency: 2 })));
+  assert.equal(stub.maxInFlight, 2);
+});